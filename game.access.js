@@ -0,0 +1,181 @@
+// Accessibility options shared by the Pixi and Phaser builds. Screen readers
+// hear the score, misses, magic screw recoveries and incoming fish through
+// the #game-announcer live region; the high-contrast palette gives magic
+// screws a colour and a ring that do not rely on telling blues apart; slow
+// speed feeds the sim less time per frame; and one-switch control lets a
+// single key, button or tap flip the tilt. Settings persist in localStorage
+// and are edited in the Accessibility rows of the settings panel. Spoken
+// messages are the announce.* strings in the locale files.
+
+(function (root, factory) {
+  const api = factory(root.CatchbotI18n || (typeof require === 'function' ? require('./game.i18n.js') : null));
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotAccess = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (CatchbotI18n) => {
+  const { t } = CatchbotI18n;
+  const ACCESS_KEY = 'catchbot-access';
+  const DEFAULT_SETTINGS = { announce: true, highContrast: false, slowSpeed: false, oneSwitch: false };
+  const OPTIONS = Object.keys(DEFAULT_SETTINGS);
+  const SLOW_SPEED = 0.7; // share of real time the sim gets at slow speed
+  const SCORE_STEP = 100; // the score is read out each time it passes a multiple
+  // Item looks that replace the registry tint in high contrast. `ring` is an
+  // outline drawn round the sprite so the item reads by shape as well.
+  const HIGH_CONTRAST_ITEMS = {
+    magic: { tint: 0xffd21f, ring: 0xffffff },
+  };
+
+  function loadAccessSettings(storage = globalThis.localStorage) {
+    try {
+      const stored = JSON.parse(storage.getItem(ACCESS_KEY) || 'null');
+      if (stored && typeof stored === 'object') {
+        return OPTIONS.reduce((acc, key) => ({
+          ...acc,
+          [key]: typeof stored[key] === 'boolean' ? stored[key] : DEFAULT_SETTINGS[key],
+        }), {});
+      }
+    } catch (err) {
+      // fall back to the defaults
+    }
+    return { ...DEFAULT_SETTINGS };
+  }
+
+  function saveAccessSettings(settings, storage = globalThis.localStorage) {
+    storage.setItem(ACCESS_KEY, JSON.stringify(settings));
+  }
+
+  function createAccess({ storage = globalThis.localStorage } = {}) {
+    const settings = loadAccessSettings(storage);
+    const listeners = [];
+
+    function set(key, value) {
+      if (!OPTIONS.includes(key)) return;
+      settings[key] = Boolean(value);
+      saveAccessSettings(settings, storage);
+      listeners.forEach((fn) => fn({ ...settings }));
+    }
+
+    function onChange(fn) {
+      listeners.push(fn);
+      return () => {
+        const i = listeners.indexOf(fn);
+        if (i >= 0) listeners.splice(i, 1);
+      };
+    }
+
+    // { tint, ring } for a new item sprite; `ring` is null unless the
+    // palette outlines that item.
+    function itemLook(type, rules) {
+      const contrast = settings.highContrast ? HIGH_CONTRAST_ITEMS[type] : null;
+      return {
+        tint: contrast ? contrast.tint : rules.tint,
+        ring: contrast ? contrast.ring : null,
+      };
+    }
+
+    return {
+      set,
+      onChange,
+      itemLook,
+      settings: () => ({ ...settings }),
+      speed: () => (settings.slowSpeed ? SLOW_SPEED : 1),
+      oneSwitch: () => settings.oneSwitch,
+    };
+  }
+
+  function missLine(sim) {
+    const { mode, maxMisses } = sim.config;
+    const { misses } = sim.state;
+    if (mode && mode.missesEnd === false) return t('announce.missed', { count: misses });
+    return t('announce.missesOf', { misses, count: maxMisses });
+  }
+
+  // Writes short messages into #game-announcer (role="status"). Messages
+  // from the same frame (both players in versus) are joined so neither
+  // replaces the other, and a repeat gets a trailing space so it is read again.
+  function createAnnouncer({ doc = globalThis.document, enabled = () => true, setTimer = globalThis.setTimeout } = {}) {
+    const pending = [];
+    let last = '';
+
+    function flush() {
+      const region = doc.getElementById('game-announcer');
+      const text = pending.splice(0).join(' ');
+      if (!region) return;
+      last = text === last.trim() ? `${text} ` : text;
+      region.textContent = last;
+    }
+
+    function say(text) {
+      if (!enabled()) return;
+      pending.push(text);
+      if (pending.length === 1) setTimer(flush, 0);
+    }
+
+    // Reads out one live sim; `name` prefixes each message in versus.
+    // Returns a function that stops listening.
+    function watch(sim, { name = '' } = {}) {
+      const named = (text) => say(name ? t('announce.named', { name, text }) : text);
+      const countsMisses = !sim.config.mode || sim.config.mode.countMisses !== false;
+      let nextScore = SCORE_STEP;
+      const handlers = {
+        catch: ({ item }) => {
+          if (item.type === 'magic') {
+            named(countsMisses ? t('announce.magicMiss', { misses: missLine(sim) }) : t('announce.magicShield'));
+          } else if (sim.state.score >= nextScore) {
+            named(t('announce.score', { score: sim.state.score }));
+          }
+          nextScore = (Math.floor(sim.state.score / SCORE_STEP) + 1) * SCORE_STEP;
+        },
+        miss: () => {
+          if (countsMisses) named(t('announce.miss', { misses: missLine(sim) }));
+        },
+        fishSpawn: ({ fish }) => named(fish.side === -1 ? t('announce.fishLeft') : t('announce.fishRight')),
+        fishHit: () => named(t('announce.fishHit', { score: sim.state.score })),
+        bombHit: () => named(t('announce.bomb', { score: sim.state.score })),
+        gameOver: () => named(t('announce.over', { score: sim.state.score })),
+      };
+      Object.keys(handlers).forEach((event) => sim.on(event, handlers[event]));
+      return () => Object.keys(handlers).forEach((event) => sim.off(event, handlers[event]));
+    }
+
+    return { say, watch };
+  }
+
+  // Wires the Accessibility rows of the settings panel (#access-announce,
+  // #access-contrast, #access-slow, #access-switch) and mirrors high contrast
+  // onto <body> so the page panels follow it.
+  function createAccessSettings(access, { doc = globalThis.document } = {}) {
+    const boxes = {
+      announce: doc.getElementById('access-announce'),
+      highContrast: doc.getElementById('access-contrast'),
+      slowSpeed: doc.getElementById('access-slow'),
+      oneSwitch: doc.getElementById('access-switch'),
+    };
+
+    function render(settings) {
+      OPTIONS.forEach((key) => {
+        if (boxes[key]) boxes[key].checked = settings[key];
+      });
+      doc.body.classList.toggle('high-contrast', settings.highContrast);
+    }
+
+    OPTIONS.forEach((key) => {
+      if (boxes[key]) boxes[key].addEventListener('change', () => access.set(key, boxes[key].checked));
+    });
+    access.onChange(render);
+    render(access.settings());
+    return { render };
+  }
+
+  return {
+    DEFAULT_SETTINGS,
+    SLOW_SPEED,
+    loadAccessSettings,
+    saveAccessSettings,
+    createAccess,
+    createAnnouncer,
+    createAccessSettings,
+  };
+});
@@ -0,0 +1,295 @@
+// Achievements and the robot colours they unlock. A tracker watches a live
+// sim's events (replays are never watched), keeps per-run counters and
+// saves unlocks to localStorage. Unlocks pop up in the #achievement-toast
+// over the game, renderers tint the robot with selectedSkin(), and the
+// gallery is the #achievements-panel markup in index.html. Titles,
+// descriptions and colour names are the achievements.* strings in the
+// locale files.
+
+(function (root, factory) {
+  const api = factory(root.CatchbotI18n || (typeof require === 'function' ? require('./game.i18n.js') : null));
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotAchievements = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (CatchbotI18n) => {
+  const { t } = CatchbotI18n;
+  const ACHIEVEMENTS_KEY = 'catchbot-achievements';
+  const CLEAN_RUN_CATCHES = 50;
+  const FISH_SURVIVED = 5;
+  const BOMBS_DODGED = 10;
+
+  // `check(run, event, payload, sim)` runs after every watched event and
+  // returns true once the achievement is earned. `count` goes into the
+  // description.
+  const ACHIEVEMENTS = [
+    {
+      id: 'firstDodge',
+      check: (run, event) => event === 'fishSplash',
+    },
+    {
+      id: 'cleanFifty',
+      count: CLEAN_RUN_CATCHES,
+      check: (run) => run.cleanCatches >= CLEAN_RUN_CATCHES,
+    },
+    {
+      // one miss from game over, whatever the level allows
+      id: 'comeback',
+      check: (run, event, payload, sim) => event === 'catch' && payload.item.type === 'magic'
+        && run.worstMisses >= Math.max(1, sim.config.maxMisses - 1) && sim.state.misses === 0,
+    },
+    {
+      id: 'topSpeed',
+      check: (run, event) => event === 'floorReached',
+    },
+    {
+      id: 'fishSurvivor',
+      count: FISH_SURVIVED,
+      check: (run) => run.fishSurvived >= FISH_SURVIVED,
+    },
+    {
+      id: 'bombSquad',
+      count: BOMBS_DODGED,
+      check: (run) => run.bombsDodged >= BOMBS_DODGED,
+    },
+  ];
+
+  // Recolours of the existing robot sprites. `tint` goes on the body and
+  // head, `light` on the head lamp.
+  const ROBOT_SKINS = [
+    { id: 'classic', tint: 0xffffff, light: 0xffffff },
+    { id: 'ocean', tint: 0x9fdcff, light: 0x6de7ff, unlockedBy: 'firstDodge' },
+    { id: 'gold', tint: 0xffd36b, light: 0xfff2a8, unlockedBy: 'cleanFifty' },
+    { id: 'magic', tint: 0xb7a6ff, light: 0x8de9ff, unlockedBy: 'comeback' },
+    { id: 'stealth', tint: 0x7d8794, light: 0xff6b5c, unlockedBy: 'topSpeed' },
+    { id: 'coral', tint: 0xffa391, light: 0xffba5c, unlockedBy: 'fishSurvivor' },
+  ];
+  const DEFAULT_SKIN = 'classic';
+  const TOAST_TIME = 3200; // ms each toast stays up
+  const WATCHED_EVENTS = ['catch', 'miss', 'fishHit', 'fishSplash', 'fishBlocked', 'bombHit', 'drop', 'floorReached'];
+
+  const achievementTitle = (id) => t(`achievements.${id}.title`);
+  const skinName = (id) => t(`achievements.skins.${id}`);
+
+  function loadProgress(storage = globalThis.localStorage) {
+    try {
+      const stored = JSON.parse(storage.getItem(ACHIEVEMENTS_KEY) || 'null');
+      if (stored && typeof stored === 'object') {
+        const unlocked = {};
+        Object.keys(stored.unlocked || {}).forEach((id) => {
+          if (ACHIEVEMENTS.some((a) => a.id === id) && typeof stored.unlocked[id] === 'string') unlocked[id] = stored.unlocked[id];
+        });
+        const skin = ROBOT_SKINS.some((s) => s.id === stored.skin) ? stored.skin : DEFAULT_SKIN;
+        return { unlocked, skin };
+      }
+    } catch (err) {
+      // start from scratch
+    }
+    return { unlocked: {}, skin: DEFAULT_SKIN };
+  }
+
+  function saveProgress(progress, storage = globalThis.localStorage) {
+    storage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(progress));
+  }
+
+  function newRun() {
+    return { cleanCatches: 0, worstMisses: 0, fishSurvived: 0, bombsDodged: 0 };
+  }
+
+  // Per-run counters the checks read.
+  function countEvent(run, event, payload, sim) {
+    switch (event) {
+      case 'catch':
+        run.cleanCatches += 1;
+        break;
+      case 'miss':
+        run.cleanCatches = 0;
+        break;
+      case 'fishSplash':
+      case 'fishBlocked':
+        run.fishSurvived += 1;
+        break;
+      case 'drop':
+        if (payload.item.type === 'bomb') run.bombsDodged += 1;
+        break;
+      default:
+        break;
+    }
+    run.worstMisses = Math.max(run.worstMisses, sim.state.misses);
+  }
+
+  function createAchievements({ storage = globalThis.localStorage, now = () => new Date() } = {}) {
+    const progress = loadProgress(storage);
+    const listeners = [];
+
+    function unlock(achievement) {
+      progress.unlocked[achievement.id] = now().toISOString();
+      saveProgress(progress, storage);
+      const skin = ROBOT_SKINS.find((s) => s.unlockedBy === achievement.id);
+      listeners.forEach((fn) => fn({ id: achievement.id, skin: skin ? skin.id : null }));
+    }
+
+    // Starts tracking one run; returns a function that stops it.
+    function watch(sim) {
+      const run = newRun();
+      const handlers = WATCHED_EVENTS.map((event) => {
+        const handler = (payload) => {
+          countEvent(run, event, payload, sim);
+          ACHIEVEMENTS.forEach((achievement) => {
+            if (!progress.unlocked[achievement.id] && achievement.check(run, event, payload, sim)) unlock(achievement);
+          });
+        };
+        sim.on(event, handler);
+        return [event, handler];
+      });
+      return () => handlers.forEach(([event, handler]) => sim.off(event, handler));
+    }
+
+    function onUnlock(fn) {
+      listeners.push(fn);
+      return () => {
+        const i = listeners.indexOf(fn);
+        if (i >= 0) listeners.splice(i, 1);
+      };
+    }
+
+    function list() {
+      return ACHIEVEMENTS.map(({ id, count }) => ({
+        id,
+        title: achievementTitle(id),
+        description: t(`achievements.${id}.description`, { count }),
+        unlockedAt: progress.unlocked[id] || null,
+      }));
+    }
+
+    function skins() {
+      return ROBOT_SKINS.map((skin) => ({ ...skin, name: skinName(skin.id), unlocked: !skin.unlockedBy || Boolean(progress.unlocked[skin.unlockedBy]) }));
+    }
+
+    function selectSkin(id) {
+      const skin = skins().find((s) => s.id === id);
+      if (!skin || !skin.unlocked) return false;
+      progress.skin = id;
+      saveProgress(progress, storage);
+      return true;
+    }
+
+    return {
+      watch,
+      onUnlock,
+      list,
+      skins,
+      selectSkin,
+      selectedSkin: () => skins().find((s) => s.id === progress.skin && s.unlocked) || ROBOT_SKINS[0],
+    };
+  }
+
+  const hexColor = (value) => `#${value.toString(16).padStart(6, '0')}`;
+
+  // Wires #achievements-panel: the achievement list and the robot colour
+  // picker. #achievements-button on the start page opens it; an open panel
+  // is redrawn when the language changes.
+  function createAchievementsPanel(tracker, { doc = globalThis.document } = {}) {
+    const panel = doc.getElementById('achievements-panel');
+    const listEl = doc.getElementById('achievements-list');
+    const skinsEl = doc.getElementById('achievements-skins');
+    if (!panel || !listEl) return null;
+
+    function render() {
+      listEl.innerHTML = '';
+      tracker.list().forEach((achievement) => {
+        const row = doc.createElement('li');
+        row.className = `achievement${achievement.unlockedAt ? ' is-unlocked' : ''}`;
+        const title = doc.createElement('strong');
+        title.textContent = achievement.title;
+        const detail = doc.createElement('span');
+        detail.textContent = achievement.unlockedAt
+          ? t('achievements.earned', { description: achievement.description, date: achievement.unlockedAt.slice(0, 10) })
+          : achievement.description;
+        row.appendChild(title);
+        row.appendChild(detail);
+        listEl.appendChild(row);
+      });
+      if (!skinsEl) return;
+      skinsEl.innerHTML = '';
+      const selected = tracker.selectedSkin().id;
+      tracker.skins().forEach((skin) => {
+        const button = doc.createElement('button');
+        button.type = 'button';
+        button.className = 'key-chip skin-chip';
+        button.disabled = !skin.unlocked;
+        button.style.borderColor = hexColor(skin.tint);
+        button.textContent = skin.unlocked ? skin.name : t('achievements.locked', { skin: skin.name });
+        button.setAttribute('aria-pressed', String(skin.id === selected));
+        button.addEventListener('click', () => {
+          tracker.selectSkin(skin.id);
+          render();
+        });
+        skinsEl.appendChild(button);
+      });
+    }
+
+    function open() {
+      render();
+      panel.hidden = false;
+    }
+
+    function close() {
+      panel.hidden = true;
+    }
+
+    CatchbotI18n.onLocaleChange(() => {
+      if (!panel.hidden) render();
+    });
+    const closeBtn = doc.getElementById('achievements-close');
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    const openBtn = doc.getElementById('achievements-button');
+    if (openBtn) openBtn.addEventListener('click', open);
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    return { open, close, isOpen: () => !panel.hidden };
+  }
+
+  // Shows unlocks one at a time in #achievement-toast (a role="status"
+  // region, so screen readers announce them too).
+  function createToaster({ doc = globalThis.document, setTimer = globalThis.setTimeout } = {}) {
+    const toast = doc.getElementById('achievement-toast');
+    const queue = [];
+    let showing = false;
+
+    function next() {
+      if (!queue.length) {
+        showing = false;
+        toast.hidden = true;
+        return;
+      }
+      showing = true;
+      toast.textContent = queue.shift();
+      toast.hidden = false;
+      setTimer(next, TOAST_TIME);
+    }
+
+    // `{ id, skin }` as createAchievements() reports an unlock.
+    function show({ id, skin }) {
+      if (!toast) return;
+      const title = achievementTitle(id);
+      queue.push(skin ? t('achievements.toastSkin', { title, skin: skinName(skin) }) : t('achievements.toast', { title }));
+      if (!showing) next();
+    }
+
+    return { show };
+  }
+
+  return {
+    ACHIEVEMENTS_KEY,
+    ACHIEVEMENTS,
+    ROBOT_SKINS,
+    loadProgress,
+    createAchievements,
+    createAchievementsPanel,
+    createToaster,
+  };
+});
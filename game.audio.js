@@ -0,0 +1,263 @@
+// Web Audio sound engine shared by both renderers. Each sound is fetched and
+// decoded once, then played through an SFX or music bus under a master gain.
+// Voices are capped per sound and overall (the oldest voice is cut), repeated
+// catches climb in pitch, and volumes plus mute persist in localStorage.
+// Browsers keep audio suspended until a user gesture, so unlock() waits for
+// the first tap, click or key press before resuming the context.
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotAudio = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  const AUDIO_KEY = 'catchbot-audio';
+  const DEFAULT_SETTINGS = { sfx: 0.8, music: 0.5, muted: false };
+  const BUSES = ['sfx', 'music'];
+  const MAX_VOICES = 12;
+  const MAX_VOICES_PER_SOUND = 4;
+  const PITCH_JITTER = 0.03; // +/- 3% so repeats don't sound machine-gunned
+  const RAPID_WINDOW = 450; // ms between plays that still counts as a run
+  const RAPID_STEP = Math.pow(2, 1 / 12); // one semitone
+  const RAPID_MAX_STEPS = 7;
+  const UNLOCK_EVENTS = ['pointerdown', 'touchend', 'keydown'];
+
+  const clamp01 = (value) => Math.min(1, Math.max(0, Number(value)));
+
+  function loadAudioSettings(storage = globalThis.localStorage) {
+    try {
+      const stored = JSON.parse(storage.getItem(AUDIO_KEY) || 'null');
+      if (stored && typeof stored === 'object') {
+        return {
+          sfx: Number.isFinite(stored.sfx) ? clamp01(stored.sfx) : DEFAULT_SETTINGS.sfx,
+          music: Number.isFinite(stored.music) ? clamp01(stored.music) : DEFAULT_SETTINGS.music,
+          muted: stored.muted === true,
+        };
+      }
+    } catch (err) {
+      // fall back to the defaults
+    }
+    return { ...DEFAULT_SETTINGS };
+  }
+
+  function saveAudioSettings(settings, storage = globalThis.localStorage) {
+    storage.setItem(AUDIO_KEY, JSON.stringify(settings));
+  }
+
+  // `sounds` maps keys to URLs. Nothing touches Web Audio until load() or the
+  // first unlock gesture, so creating an engine is safe before any input.
+  function createAudioEngine({ sounds = {}, storage = globalThis.localStorage, now = () => Date.now(), random = Math.random } = {}) {
+    const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+    const settings = loadAudioSettings(storage);
+    const buffers = {};
+    const buses = {};
+    const rapid = {}; // key -> { at, steps }
+    const listeners = [];
+    let voices = [];
+    let ctx = null;
+    let master = null;
+    let music = null;
+    let loading = null;
+
+    function applySettings() {
+      if (!ctx) return;
+      master.gain.value = settings.muted ? 0 : 1;
+      BUSES.forEach((bus) => {
+        buses[bus].gain.value = settings[bus];
+      });
+    }
+
+    function ensureContext() {
+      if (ctx || !AudioContextClass) return ctx;
+      ctx = new AudioContextClass();
+      master = ctx.createGain();
+      master.connect(ctx.destination);
+      BUSES.forEach((bus) => {
+        buses[bus] = ctx.createGain();
+        buses[bus].connect(master);
+      });
+      applySettings();
+      return ctx;
+    }
+
+    // Safari before 14.1 only has the callback form of decodeAudioData.
+    function decode(data) {
+      return new Promise((resolve, reject) => {
+        const pending = ctx.decodeAudioData(data, resolve, reject);
+        if (pending && pending.then) pending.then(resolve, reject);
+      });
+    }
+
+    function load() {
+      if (loading) return loading;
+      if (!ensureContext()) {
+        loading = Promise.resolve();
+        return loading;
+      }
+      loading = Promise.all(Object.keys(sounds).map((key) => fetch(sounds[key])
+        .then((res) => {
+          if (res.ok) return res.arrayBuffer().then(decode);
+          console.warn(`Could not load ${sounds[key]} (${res.status})`);
+          return null;
+        })
+        .then((buffer) => {
+          if (buffer) buffers[key] = buffer;
+        })
+        .catch((err) => console.warn(err))));
+      return loading;
+    }
+
+    function stopVoice(voice) {
+      try {
+        voice.source.stop();
+      } catch (err) {
+        // already stopped
+      }
+      voices = voices.filter((v) => v !== voice);
+    }
+
+    function limitVoices(key) {
+      const same = voices.filter((v) => v.key === key);
+      if (same.length >= MAX_VOICES_PER_SOUND) stopVoice(same[0]);
+      if (voices.length >= MAX_VOICES) stopVoice(voices[0]);
+    }
+
+    // Each play within RAPID_WINDOW of the last one goes up a semitone.
+    function rapidRate(key) {
+      const t = now();
+      const last = rapid[key];
+      const steps = last && t - last.at <= RAPID_WINDOW ? Math.min(RAPID_MAX_STEPS, last.steps + 1) : 0;
+      rapid[key] = { at: t, steps };
+      return Math.pow(RAPID_STEP, steps);
+    }
+
+    function play(key, { volume = 1, rapid: climb = false, bus = 'sfx' } = {}) {
+      if (!ctx || ctx.state !== 'running' || settings.muted || !buffers[key]) return null;
+      limitVoices(key);
+      const source = ctx.createBufferSource();
+      source.buffer = buffers[key];
+      const rate = (climb ? rapidRate(key) : 1) * (1 + (random() * 2 - 1) * PITCH_JITTER);
+      source.playbackRate.value = rate;
+      const gain = ctx.createGain();
+      gain.gain.value = clamp01(volume);
+      source.connect(gain);
+      gain.connect(buses[bus] || buses.sfx);
+      const voice = { key, source };
+      source.onended = () => {
+        voices = voices.filter((v) => v !== voice);
+      };
+      voices.push(voice);
+      source.start();
+      return voice;
+    }
+
+    // Loops `key` on the music bus; only one track plays at a time.
+    function playMusic(key) {
+      stopMusic();
+      if (!ctx || !buffers[key]) return;
+      music = ctx.createBufferSource();
+      music.buffer = buffers[key];
+      music.loop = true;
+      music.connect(buses.music);
+      music.start();
+    }
+
+    function stopMusic() {
+      if (!music) return;
+      try {
+        music.stop();
+      } catch (err) {
+        // already stopped
+      }
+      music = null;
+    }
+
+    function notify() {
+      saveAudioSettings(settings, storage);
+      applySettings();
+      listeners.forEach((fn) => fn({ ...settings }));
+    }
+
+    function setVolume(bus, value) {
+      if (!BUSES.includes(bus)) return;
+      settings[bus] = clamp01(value);
+      notify();
+    }
+
+    function setMuted(muted) {
+      settings.muted = Boolean(muted);
+      notify();
+    }
+
+    function onChange(fn) {
+      listeners.push(fn);
+      return () => {
+        const i = listeners.indexOf(fn);
+        if (i >= 0) listeners.splice(i, 1);
+      };
+    }
+
+    // Resumes the context inside the first gesture and plays one silent
+    // sample, which iOS needs before it will output anything.
+    function unlock(target = globalThis.document) {
+      if (!target || !AudioContextClass) return;
+      const handler = () => {
+        ensureContext();
+        const silent = ctx.createBufferSource();
+        silent.buffer = ctx.createBuffer(1, 1, 22050);
+        silent.connect(ctx.destination);
+        silent.start(0);
+        Promise.resolve(ctx.resume()).then(() => {
+          if (ctx.state !== 'running') return;
+          UNLOCK_EVENTS.forEach((type) => target.removeEventListener(type, handler, true));
+        }).catch(() => {});
+      };
+      UNLOCK_EVENTS.forEach((type) => target.addEventListener(type, handler, true));
+    }
+
+    return {
+      load,
+      play,
+      playMusic,
+      stopMusic,
+      unlock,
+      setVolume,
+      setMuted,
+      toggleMute: () => setMuted(!settings.muted),
+      settings: () => ({ ...settings }),
+      onChange,
+    };
+  }
+
+  // Wires the Sound rows of the settings panel (#audio-sfx, #audio-music,
+  // #audio-mute) to an engine; sliders run 0-100.
+  function createAudioSettings(engine, { doc = globalThis.document } = {}) {
+    const sliders = { sfx: doc.getElementById('audio-sfx'), music: doc.getElementById('audio-music') };
+    const mute = doc.getElementById('audio-mute');
+
+    function render(settings) {
+      BUSES.forEach((bus) => {
+        if (sliders[bus]) sliders[bus].value = String(Math.round(settings[bus] * 100));
+      });
+      if (mute) mute.checked = settings.muted;
+    }
+
+    BUSES.forEach((bus) => {
+      if (sliders[bus]) sliders[bus].addEventListener('input', () => engine.setVolume(bus, Number(sliders[bus].value) / 100));
+    });
+    if (mute) mute.addEventListener('change', () => engine.setMuted(mute.checked));
+    engine.onChange(render);
+    render(engine.settings());
+    return { render };
+  }
+
+  return {
+    DEFAULT_SETTINGS,
+    loadAudioSettings,
+    saveAudioSettings,
+    createAudioEngine,
+    createAudioSettings,
+  };
+});
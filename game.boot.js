@@ -0,0 +1,114 @@
+// Page bootstrap. Picks the front end from ?renderer=pixi|phaser (Pixi by
+// default), loads its scripts on first Play once the page language's
+// strings are in, and gives index.html one window.startCatchbot; each
+// renderer registers its start function here. window.CatchbotBoot holds
+// what must outlive a renderer or work before one loads: audio (so the
+// Play click can unlock it), the leaderboard, achievements, accessibility
+// settings with the announcer, and the diagnostics log.
+
+(() => {
+  const RENDERERS = {
+    pixi: ['game.js'],
+    phaser: ['vendor/phaser.min.js', 'game.phaser.js'],
+  };
+  // how many players each renderer can seat (versus needs two)
+  const MAX_PLAYERS = { pixi: 2, phaser: 1 };
+  const DEFAULT_RENDERER = 'pixi';
+  const SOUNDS = {
+    collect: 'assets/sfx/collect.wav',
+    miss: 'assets/sfx/miss.wav',
+    fish: 'assets/sfx/ouch.wav',
+  };
+  const starters = {};
+  let loading = null;
+
+  function selectedRenderer(search = window.location.search) {
+    const name = new URLSearchParams(search).get('renderer');
+    return Object.prototype.hasOwnProperty.call(RENDERERS, name) ? name : DEFAULT_RENDERER;
+  }
+
+  function loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(window.CatchbotI18n.t('game.loadFailed', { file: src })));
+      document.head.appendChild(script);
+    });
+  }
+
+  function loadRenderer(name) {
+    if (!loading) {
+      loading = RENDERERS[name]
+        .reduce((chain, src) => chain.then(() => loadScript(src)), Promise.resolve())
+        .then(() => {
+          if (!starters[name]) throw new Error(window.CatchbotI18n.t('page.rendererFailed', { name }));
+          return starters[name];
+        });
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  function register(name, start) {
+    starters[name] = start;
+  }
+
+  function startCatchbot(onReady, onError) {
+    window.CatchbotI18n.ready().then(() => loadRenderer(selectedRenderer())).then(
+      (start) => start(onReady, onError),
+      (err) => {
+        console.error(err);
+        if (onError) onError(err.message);
+      },
+    );
+  }
+
+  window.CatchbotI18n.init();
+  const { createAudioEngine, createAudioSettings } = window.CatchbotAudio;
+  const audio = createAudioEngine({ sounds: SOUNDS });
+  audio.unlock();
+  const { createLeaderboard, createLeaderboardPanel } = window.CatchbotLeaderboard;
+  const leaderboard = createLeaderboard();
+  let leaderboardPanel = null;
+  const { createAchievements, createAchievementsPanel, createToaster } = window.CatchbotAchievements;
+  const achievements = createAchievements();
+  const { createAccess, createAnnouncer, createAccessSettings } = window.CatchbotAccess;
+  const access = createAccess();
+  const announcer = createAnnouncer({ enabled: () => access.settings().announce });
+  const { createDiagnostics, createDiagnosticsSettings } = window.CatchbotTelemetry;
+  const diagnostics = createDiagnostics();
+  window.addEventListener('DOMContentLoaded', () => {
+    createAudioSettings(audio);
+    createAccessSettings(access);
+    createDiagnosticsSettings(diagnostics, {
+      context: () => ({
+        renderer: selectedRenderer(),
+        locale: window.CatchbotI18n.locale(),
+        access: access.settings(),
+        userAgent: navigator.userAgent,
+        screen: { width: window.innerWidth, height: window.innerHeight, pixelRatio: window.devicePixelRatio || 1 },
+      }),
+    });
+    leaderboardPanel = createLeaderboardPanel(leaderboard, { label: window.CatchbotModes.boardLabel });
+    createAchievementsPanel(achievements);
+    achievements.onUnlock(createToaster().show);
+  });
+
+  window.CatchbotBoot = {
+    RENDERERS: Object.keys(RENDERERS),
+    selectedRenderer,
+    maxPlayers: () => MAX_PLAYERS[selectedRenderer()],
+    register,
+    audio,
+    leaderboard,
+    achievements,
+    access,
+    announcer,
+    diagnostics,
+    showLeaderboard: (board) => leaderboardPanel && leaderboardPanel.open(board),
+  };
+  window.startCatchbot = startCatchbot;
+})();
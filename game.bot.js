@@ -0,0 +1,175 @@
+// Scripted player for soak tests and balance checks. It only sees what is on
+// screen, reacts after a delay and steers through the same aim input a human
+// uses, so a change to launch, gravity or the cart hole shows up as a change
+// in how well it plays.
+
+(function (root, factory) {
+  const api = factory(root.CatchbotSim || (typeof require === 'function' ? require('./game.sim.js') : null));
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotBot = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (CatchbotSim) => {
+  const DEFAULT_REACTION_TIME = 250; // ms before a new screw or fish is noticed
+  const DEFAULT_ERROR_RATE = 0.05; // chance of misjudging the side of a screw or a fish
+  const SWING_TIME = 250; // ms the cart needs to cross over
+  const DEFAULT_MAX_TIME = 10 * 60 * 1000;
+
+  // Seconds until `item` falls back through height `y`, or null if it is already below it.
+  function timeToReach(item, y, gravity) {
+    if (item.y > y && item.vy > 0) return null;
+    const disc = item.vy * item.vy - 2 * gravity * (item.y - y);
+    if (disc < 0) return null;
+    return (-item.vy + Math.sqrt(disc)) / gravity;
+  }
+
+  // Bot bound to one sim. Call update() before every sim.step(); onAim
+  // defaults to sim.setAim so the bot can also drive a renderer's steer().
+  function createBot(sim, { reactionTime = DEFAULT_REACTION_TIME, errorRate = DEFAULT_ERROR_RATE, seed = 1, onAim } = {}) {
+    const rng = CatchbotSim.createRng(seed);
+    const { config } = sim;
+    const aim = onAim || sim.setAim;
+    const seen = new Map(); // item id -> { noticeAt, wrong }
+    let fishNotice = null; // { fish, noticeAt, ignore }
+    let geometryMisses = 0;
+    let lastAim = sim.state.aimTarget;
+
+    const delay = () => reactionTime * rng.range(0.8, 1.2);
+    const cartX = (side) => config.robot.x - side * config.robot.cartHole.x * config.robot.scale;
+
+    // The side whose cart position is nearest to where the item comes down.
+    function sideFor(item, t) {
+      const landX = item.x + item.vx * t;
+      return Math.abs(landX - cartX(-1)) <= Math.abs(landX - cartX(1)) ? -1 : 1;
+    }
+
+    function onSpawn({ item }) {
+      seen.set(item.id, { noticeAt: sim.state.time + delay(), wrong: rng() < errorRate });
+    }
+
+    function onFishSpawn({ fish }) {
+      fishNotice = { fish, noticeAt: sim.state.time + delay(), ignore: rng() < errorRate };
+    }
+
+    // A screw that drops past the cart while the bot sat on its side was
+    // uncatchable: launch, gravity or the cart hole no longer line up.
+    function onMiss({ item }) {
+      const entry = seen.get(item.id);
+      if (entry && entry.settled) geometryMisses += 1;
+      seen.delete(item.id);
+    }
+
+    function onCatch({ item }) {
+      seen.delete(item.id);
+    }
+
+    function plan() {
+      const now = sim.state.time;
+      const cartY = sim.cartBounds().centerY;
+      let next = null;
+      let danger = null; // the first bomb (or other `avoid` item) coming down
+      sim.items.forEach((item) => {
+        const entry = seen.get(item.id);
+        if (!entry) return;
+        const t = timeToReach(item, cartY, config.gravity * item.gravity);
+        if (t === null) {
+          if (entry.settled === undefined) entry.settled = Math.abs(sim.state.aimBias - sideFor(item, 0)) < 0.05;
+          return;
+        }
+        if (now < entry.noticeAt) return;
+        const side = entry.wrong ? -sideFor(item, t) : sideFor(item, t);
+        if (sim.itemTypes[item.type].avoid) {
+          if (!danger || t * 1000 < danger.t) danger = { t: t * 1000, side };
+        } else if (!next || t * 1000 < next.t) {
+          next = { t: t * 1000, side };
+        }
+      });
+      if (danger && (!next || (next.side === danger.side && next.t > danger.t - SWING_TIME))) {
+        next = { t: danger.t, side: -danger.side };
+      }
+
+      const fish = sim.fish;
+      if (fishNotice && fishNotice.fish === fish && fish.phase === 'up' && now >= fishNotice.noticeAt && !fishNotice.ignore) {
+        const arrives = (1 - fish.t) * fish.durationUp * 1000;
+        if (!next || next.side === fish.side) {
+          if (!next || next.t > arrives - SWING_TIME) return { side: -fish.side };
+        }
+      }
+      return next;
+    }
+
+    function update() {
+      if (!sim.state.playing) return;
+      const target = plan();
+      if (target && target.side !== lastAim) {
+        lastAim = target.side;
+        aim(target.side);
+      }
+    }
+
+    function destroy() {
+      sim.off('spawn', onSpawn);
+      sim.off('fishSpawn', onFishSpawn);
+      sim.off('miss', onMiss);
+      sim.off('catch', onCatch);
+      sim.off('drop', onCatch);
+      sim.off('bombHit', onCatch);
+    }
+
+    sim.on('spawn', onSpawn);
+    sim.on('fishSpawn', onFishSpawn);
+    sim.on('miss', onMiss);
+    // items that leave play without a miss just stop being tracked
+    sim.on('catch', onCatch);
+    sim.on('drop', onCatch);
+    sim.on('bombHit', onCatch);
+
+    return {
+      update,
+      destroy,
+      geometryMisses: () => geometryMisses,
+    };
+  }
+
+  // Plays one headless game with a bot and returns the sim summary plus how
+  // the run was decided: 'misses', 'fish', 'bomb' or 'timeout' after maxTime ms.
+  function playGame({ config, seed, reactionTime, errorRate, maxTime = DEFAULT_MAX_TIME } = {}) {
+    const sim = CatchbotSim.createSim({ seed, config });
+    const bot = createBot(sim, { reactionTime, errorRate, seed: sim.seed ^ 0x9e3779b9 });
+    const maxMisses = sim.config.maxMisses;
+    let missEvents = 0;
+    let lastCause = null;
+    let magicExtendedFrom = null;
+    const countMiss = (cause) => () => {
+      missEvents += 1;
+      lastCause = cause;
+      if (missEvents === maxMisses && sim.state.misses < maxMisses) magicExtendedFrom = sim.state.time;
+    };
+    sim.on('miss', countMiss('misses'));
+    sim.on('fishHit', countMiss('fish'));
+    sim.on('bombHit', countMiss('bomb'));
+
+    while (sim.state.playing && sim.state.time < maxTime) {
+      bot.update();
+      sim.step();
+    }
+    bot.destroy();
+
+    const summary = sim.summary();
+    return {
+      ...summary,
+      endedBy: sim.state.playing ? 'timeout' : lastCause,
+      geometryMisses: bot.geometryMisses(),
+      magicExtension: magicExtendedFrom === null ? 0 : Math.round(sim.state.time - magicExtendedFrom),
+      bestInterval: sim.intellect.bestDifficultyInterval,
+    };
+  }
+
+  return {
+    DEFAULT_REACTION_TIME,
+    DEFAULT_ERROR_RATE,
+    createBot,
+    playGame,
+  };
+});
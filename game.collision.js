@@ -0,0 +1,155 @@
+// Collision between falling items and the robot's cart, used by game.sim.js.
+// Each step an item moves along a segment from where it was to where it is
+// now; that segment is swept against the cart opening and the two rims
+// beside it in the cart's own frame (centred on the opening and tilted with
+// the robot), so a fast screw cannot jump over the 28 px opening between two
+// steps. Crossing the top of the opening while falling is a catch; hitting
+// the top or the outside of a rim bounces the item off it. Items moving up
+// pass through, as they always have. Pure functions, no state.
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotCollision = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  const SKIN = 0.01; // how far a bounced item is set off the rim it hit
+  const MIN_SCALE = 1e-6; // a robot turned edge-on has no opening to hit
+
+  // The cart frame for a robot pose: origin at the centre of the opening,
+  // x along the tilted cart, units in scene pixels. `rim` is the width of
+  // the cart wall either side of the opening, in robot pixels like `hole`.
+  function cartFrame(pose, hole, rim = 0) {
+    const cos = Math.cos(pose.rotation);
+    const sin = Math.sin(pose.rotation);
+    const lx = hole.x * pose.scaleX;
+    const ly = hole.y * pose.scaleY;
+    const sx = Math.abs(pose.scaleX);
+    return {
+      x: pose.x + lx * cos - ly * sin,
+      y: pose.y + lx * sin + ly * cos,
+      cos,
+      sin,
+      halfWidth: (hole.width * sx) / 2,
+      halfHeight: (hole.height * pose.scaleY) / 2,
+      rimWidth: rim * sx,
+    };
+  }
+
+  // A direction (velocity, normal) from scene to frame axes, and back.
+  function directionToFrame(frame, x, y) {
+    return { x: x * frame.cos + y * frame.sin, y: -x * frame.sin + y * frame.cos };
+  }
+
+  function directionToScene(frame, x, y) {
+    return { x: x * frame.cos - y * frame.sin, y: x * frame.sin + y * frame.cos };
+  }
+
+  function toFrame(frame, x, y) {
+    return directionToFrame(frame, x - frame.x, y - frame.y);
+  }
+
+  function pointToScene(frame, x, y) {
+    const d = directionToScene(frame, x, y);
+    return { x: frame.x + d.x, y: frame.y + d.y };
+  }
+
+  // The opening and the rims as { left, top, right, bottom } in the frame.
+  function cartShapes(frame) {
+    const { halfWidth: w, halfHeight: h, rimWidth: r } = frame;
+    return {
+      opening: { left: -w, top: -h, right: w, bottom: h },
+      rims: r > 0
+        ? [{ left: -w - r, top: -h, right: -w, bottom: h }, { left: w, top: -h, right: w + r, bottom: h }]
+        : [],
+    };
+  }
+
+  const inside = (rect, p) => p.x > rect.left && p.x < rect.right && p.y > rect.top && p.y < rect.bottom;
+
+  // Slab test of the segment a -> b against an axis-aligned rect. Returns
+  // { t, normal } for the first point where the segment enters the rect
+  // (t in [0, 1] along it, normal of the face it came through), or null if
+  // it misses or starts inside.
+  function sweepSegmentRect(a, b, rect) {
+    const d = { x: b.x - a.x, y: b.y - a.y };
+    let enter = -Infinity;
+    let exit = Infinity;
+    let normal = null;
+    const axes = [
+      ['x', rect.left, rect.right],
+      ['y', rect.top, rect.bottom],
+    ];
+    for (let i = 0; i < axes.length; i += 1) {
+      const [axis, min, max] = axes[i];
+      if (d[axis] === 0) {
+        if (a[axis] <= min || a[axis] >= max) return null;
+      } else {
+        const near = ((d[axis] > 0 ? min : max) - a[axis]) / d[axis];
+        const far = ((d[axis] > 0 ? max : min) - a[axis]) / d[axis];
+        if (near > enter) {
+          enter = near;
+          normal = axis === 'x' ? { x: d.x > 0 ? -1 : 1, y: 0 } : { x: 0, y: d.y > 0 ? -1 : 1 };
+        }
+        exit = Math.min(exit, far);
+      }
+    }
+    if (enter > exit || enter < 0 || enter > 1 || !normal) return null;
+    return { t: enter, normal };
+  }
+
+  // Resolves one item's move from `from` to its current position against
+  // the cart. Returns 'catch' when it falls into the opening, 'rim' after
+  // bouncing it (position and velocity are updated in place, the bounce
+  // keeping `restitution` of the speed into the rim), or null.
+  function collideItem(frame, from, item, { restitution = 0.5 } = {}) {
+    if (frame.halfWidth < MIN_SCALE) return null;
+    const velocity = directionToFrame(frame, item.vx, item.vy);
+    if (velocity.y <= 0) return null;
+    const a = toFrame(frame, from.x, from.y);
+    const b = toFrame(frame, item.x, item.y);
+    const { opening, rims } = cartShapes(frame);
+
+    let first = null;
+    const into = sweepSegmentRect(a, b, opening);
+    if (into && into.normal.y < 0) first = { t: into.t, normal: into.normal, rim: false };
+    rims.forEach((rect) => {
+      const hit = sweepSegmentRect(a, b, rect);
+      // a falling item meets a rim's top or its outer side
+      const outer = hit && (hit.normal.y < 0 || hit.normal.x * (rect.left + rect.right) > 0);
+      if (outer && (!first || hit.t < first.t)) first = { t: hit.t, normal: hit.normal, rim: true };
+    });
+
+    if (!first) return inside(opening, b) ? 'catch' : null;
+    if (!first.rim) return 'catch';
+
+    const { normal } = first;
+    const contact = {
+      x: a.x + (b.x - a.x) * first.t + normal.x * SKIN,
+      y: a.y + (b.y - a.y) * first.t + normal.y * SKIN,
+    };
+    const along = velocity.x * normal.x + velocity.y * normal.y;
+    const bounced = {
+      x: velocity.x - (1 + restitution) * along * normal.x,
+      y: velocity.y - (1 + restitution) * along * normal.y,
+    };
+    const position = pointToScene(frame, contact.x, contact.y);
+    const scene = directionToScene(frame, bounced.x, bounced.y);
+    item.x = position.x;
+    item.y = position.y;
+    item.vx = scene.x;
+    item.vy = scene.y;
+    return 'rim';
+  }
+
+  return {
+    cartFrame,
+    cartShapes,
+    toFrame,
+    pointToScene,
+    sweepSegmentRect,
+    collideItem,
+  };
+});
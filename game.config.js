@@ -0,0 +1,271 @@
+// Level / difficulty files: validates JSON against levels/schema.json, turns
+// it into a game.sim.js config and remembers the player's choice. Presets
+// live in levels/<id>.json; a custom file is stored whole in localStorage.
+// Preset names and validation messages are the levels strings in the
+// locale files.
+
+(function (root, factory) {
+  const api = factory(
+    root.CatchbotSim || (typeof require === 'function' ? require('./game.sim.js') : null),
+    root.CatchbotI18n || (typeof require === 'function' ? require('./game.i18n.js') : null),
+  );
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotConfig = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (CatchbotSim, CatchbotI18n) => {
+  const { t } = CatchbotI18n;
+  const LEVEL_KEY = 'catchbot-level';
+  const LEVELS_DIR = 'levels';
+  const PRESETS = [{ id: 'easy' }, { id: 'normal' }, { id: 'hard' }];
+  const DEFAULT_PRESET = 'normal';
+  const MAX_REPORTED_ERRORS = 8;
+  const MERGED_SECTIONS = ['launch', 'magic', 'streak', 'items', 'fish', 'intellect'];
+
+  let schemaPromise = null;
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  function describe(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+  }
+
+  // One "path: problem" line; `where` is the setting's path in the file.
+  const problem = (key, where, params = {}) => t(`levels.error.${key}`, { where, ...params });
+
+  // Checks `value` against the subset of JSON Schema used by
+  // levels/schema.json and returns readable "path: problem" strings.
+  function checkSchema(value, schema, path = '', errors = []) {
+    const where = path || t('levels.error.root');
+    if (schema.enum && !schema.enum.some((option) => option === value)) {
+      errors.push(problem('enum', where, { options: schema.enum.map(describe).join(', '), value: describe(value) }));
+      return errors;
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+      errors.push(problem(`type.${schema.type}`, where, { value: describe(value) }));
+      return errors;
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(problem('minimum', where, { limit: schema.minimum, value }));
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(problem('maximum', where, { limit: schema.maximum, value }));
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(problem('exclusiveMinimum', where, { limit: schema.exclusiveMinimum, value }));
+    }
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(problem('empty', where));
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(problem('maxLength', where, { count: schema.maxLength }));
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(problem('minItems', where, { count: schema.minItems }));
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(problem('maxItems', where, { count: schema.maxItems }));
+      if (schema.items) value.forEach((entry, i) => checkSchema(entry, schema.items, `${where}[${i}]`, errors));
+    }
+    if (typeOf(value) === 'object') {
+      const props = schema.properties || {};
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined) errors.push(problem('required', path ? `${path}.${key}` : key));
+      });
+      Object.keys(value).forEach((key) => {
+        const childPath = path ? `${path}.${key}` : key;
+        if (props[key]) {
+          checkSchema(value[key], props[key], childPath, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(problem('unknown', childPath));
+        }
+      });
+    }
+    return errors;
+  }
+
+  // Rules the schema cannot express.
+  function checkRules(level) {
+    const errors = [];
+    const intellect = level.intellect || {};
+    if (intellect.minInterval !== undefined && intellect.maxInterval !== undefined && intellect.minInterval > intellect.maxInterval) {
+      errors.push(problem('intervals', 'intellect.minInterval', { min: intellect.minInterval, max: intellect.maxInterval }));
+    }
+    const tiers = (level.streak && level.streak.tiers) || [];
+    tiers.forEach((tier, i) => {
+      if (i > 0 && tier.at <= tiers[i - 1].at) {
+        errors.push(problem('tierOrder', `streak.tiers[${i}].at`, { at: tier.at, previous: tiers[i - 1].at }));
+      }
+    });
+    return errors;
+  }
+
+  function validateLevel(level, schema) {
+    const errors = checkSchema(level, schema);
+    return errors.length ? errors : checkRules(level);
+  }
+
+  function levelError(errors, source) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+    const more = errors.length - shown.length;
+    const lines = more > 0 ? [...shown, t('levels.error.more', { count: more })] : shown;
+    const err = new Error(`${t('levels.error.invalid', { source })}\n- ${lines.join('\n- ')}`);
+    err.errors = errors;
+    return err;
+  }
+
+  // Parses and validates level JSON text; throws an Error listing every problem.
+  function parseLevel(text, schema, source = t('levels.file')) {
+    let level;
+    try {
+      level = JSON.parse(text);
+    } catch (err) {
+      throw levelError([t('levels.error.json', { message: err.message })], source);
+    }
+    const errors = validateLevel(level, schema);
+    if (errors.length) throw levelError(errors, source);
+    return level;
+  }
+
+  // Builds a sim config: level values over the built-in defaults.
+  function levelToConfig(level = {}) {
+    const base = CatchbotSim.DEFAULT_CONFIG;
+    const config = { ...base, levelName: level.name || 'Normal' };
+    ['gravity', 'spawnPoints', 'startInterval', 'maxMisses', 'catchScore', 'fishPenalty'].forEach((key) => {
+      if (level[key] !== undefined) config[key] = level[key];
+    });
+    MERGED_SECTIONS.forEach((key) => {
+      config[key] = { ...base[key], ...(level[key] || {}) };
+    });
+    return config;
+  }
+
+  function fetchJson(url) {
+    return fetch(url).then((res) => {
+      if (!res.ok) throw new Error(t('levels.error.load', { url, status: String(res.status) }));
+      return res.text();
+    });
+  }
+
+  function loadSchema() {
+    if (!schemaPromise) {
+      schemaPromise = fetchJson(`${LEVELS_DIR}/schema.json`).then((text) => JSON.parse(text));
+      schemaPromise.catch(() => {
+        schemaPromise = null;
+      });
+    }
+    return schemaPromise;
+  }
+
+  function loadPreset(id) {
+    const preset = PRESETS.find((p) => p.id === id) || PRESETS.find((p) => p.id === DEFAULT_PRESET);
+    return Promise.all([loadSchema(), fetchJson(`${LEVELS_DIR}/${preset.id}.json`)])
+      .then(([schema, text]) => parseLevel(text, schema, `${LEVELS_DIR}/${preset.id}.json`));
+  }
+
+  function loadSelection(storage = globalThis.localStorage) {
+    try {
+      const stored = JSON.parse(storage.getItem(LEVEL_KEY) || 'null');
+      if (stored && stored.preset === 'custom' && stored.level) return stored;
+      if (stored && PRESETS.some((p) => p.id === stored.preset)) return stored;
+    } catch (err) {
+      // fall through to the default preset
+    }
+    return { preset: DEFAULT_PRESET };
+  }
+
+  function saveSelection(selection, storage = globalThis.localStorage) {
+    storage.setItem(LEVEL_KEY, JSON.stringify(selection));
+  }
+
+  // Resolves the remembered choice to { level, config }. A preset that fails
+  // to load (offline, file://) falls back to the built-in Normal tuning.
+  function loadSelectedLevel() {
+    const selection = loadSelection();
+    const pending = selection.preset === 'custom'
+      ? loadSchema().then((schema) => parseLevel(JSON.stringify(selection.level), schema, t('levels.customFile')))
+      : loadPreset(selection.preset);
+    return pending
+      .then((level) => ({ level, config: levelToConfig(level) }))
+      .catch((err) => {
+        console.warn(err);
+        const level = {}; // levelToConfig() names it Normal
+        return { level, config: levelToConfig(level) };
+      });
+  }
+
+  // Wires the #level-select / #level-file / #level-error markup on the start screen.
+  function createLevelSelector({ doc = globalThis.document } = {}) {
+    const select = doc.getElementById('level-select');
+    const fileInput = doc.getElementById('level-file');
+    const errorEl = doc.getElementById('level-error');
+    if (!select) return null;
+    const selection = loadSelection();
+
+    function showError(message) {
+      if (errorEl) errorEl.textContent = message || '';
+    }
+
+    let customName = selection.preset === 'custom' ? selection.level.name : '';
+    function setCustomLabel(name) {
+      const option = Array.from(select.options || []).find((o) => o.value === 'custom');
+      customName = name || '';
+      if (option) option.textContent = customName ? t('levels.customNamed', { name: customName }) : t('levels.custom');
+    }
+
+    select.value = selection.preset;
+    setCustomLabel(customName);
+    CatchbotI18n.onLocaleChange(() => setCustomLabel(customName));
+
+    select.addEventListener('change', () => {
+      showError('');
+      if (select.value === 'custom') {
+        if (fileInput) fileInput.click();
+        return;
+      }
+      saveSelection({ preset: select.value });
+    });
+
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+          loadSchema()
+            .then((schema) => parseLevel(reader.result, schema, file.name))
+            .then((level) => {
+              saveSelection({ preset: 'custom', level });
+              setCustomLabel(level.name);
+              showError('');
+            })
+            .catch((err) => {
+              showError(err.message);
+              select.value = loadSelection().preset;
+            });
+        };
+        reader.readAsText(file);
+      });
+    }
+
+    return { showError };
+  }
+
+  return {
+    PRESETS,
+    validateLevel,
+    parseLevel,
+    levelToConfig,
+    loadSchema,
+    loadPreset,
+    loadSelection,
+    saveSelection,
+    loadSelectedLevel,
+    createLevelSelector,
+  };
+});
@@ -0,0 +1,250 @@
+// Pooled particle effects for the Pixi build: sparks when a screw drops into
+// the cart, a blue swirl for magic screws, water splashes, floating score
+// popups and a screen shake with a red flash on fish hits. Sprites and texts
+// are created up to a fixed cap and reused, so a busy moment never allocates
+// or draws more than MAX_PARTICLES. When the OS asks for reduced motion only
+// the popups remain, and they fade in place instead of drifting.
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotFx = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  const MAX_PARTICLES = 160;
+  const MAX_POPUPS = 6;
+  const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+  const SPARK = { count: 14, colors: [0xfff2a8, 0xffc94a, 0xffffff], speed: [160, 360], life: [0.3, 0.55], size: [0.25, 0.45], gravity: 700 };
+  const SWIRL = { count: 18, colors: [0x6de7ff, 0x8de9ff, 0xc4f6ff], radius: [26, 48], spin: 9, life: [0.55, 0.8], size: [0.3, 0.5] };
+  const SPLASH = { count: 12, colors: [0xbfe8ff, 0x8fd3ff, 0xffffff], speed: [140, 320], life: [0.45, 0.75], size: [0.25, 0.5], gravity: 1100 };
+  const POPUP_LIFE = 0.65;
+  const POPUP_RISE = 40;
+  const SHAKE_TIME = 0.35;
+  const SHAKE_AMPLITUDE = 10;
+  const FLASH_TIME = 0.3;
+  const FLASH_ALPHA = 0.35;
+
+  const lerp = (a, b, t) => a + (b - a) * t;
+  const pick = (list, random) => list[Math.floor(random() * list.length)];
+
+  // Live matchMedia check; `onChange` fires when the player flips the setting.
+  function watchReducedMotion(onChange, win = globalThis.window) {
+    const query = win && win.matchMedia ? win.matchMedia(REDUCED_MOTION_QUERY) : null;
+    if (query && onChange) {
+      if (query.addEventListener) {
+        query.addEventListener('change', (e) => onChange(e.matches));
+      } else if (query.addListener) {
+        query.addListener((e) => onChange(e.matches));
+      }
+    }
+    return Boolean(query && query.matches);
+  }
+
+  // `layer` holds the particles and popups, `shakeTarget` is the container
+  // hit() shakes. `renderer` bakes the round particle texture once.
+  function createEffects({ PIXI, renderer, layer, shakeTarget, width, height, random = Math.random, reducedMotion } = {}) {
+    let reduced = reducedMotion === undefined ? watchReducedMotion((matches) => {
+      reduced = matches;
+      if (reduced) clear();
+    }) : reducedMotion;
+
+    const dot = new PIXI.Graphics().circle(0, 0, 8).fill(0xffffff);
+    const texture = renderer.generateTexture(dot);
+    dot.destroy();
+
+    const particleLayer = new PIXI.Container();
+    const popupLayer = new PIXI.Container();
+    const flash = new PIXI.Graphics().rect(0, 0, width, height).fill(0xff3030);
+    flash.alpha = 0;
+    flash.visible = false;
+    layer.addChild(particleLayer, popupLayer, flash);
+
+    const particles = []; // every sprite ever made, active or not
+    const free = [];
+    const active = [];
+    const popups = [];
+    const shakeOrigin = { x: shakeTarget.x, y: shakeTarget.y };
+    let shakeLeft = 0;
+    let flashLeft = 0;
+
+    function acquire() {
+      if (free.length) return free.pop();
+      if (particles.length >= MAX_PARTICLES) return null;
+      const sprite = new PIXI.Sprite(texture);
+      sprite.anchor.set(0.5);
+      particleLayer.addChild(sprite);
+      const particle = { sprite };
+      particles.push(particle);
+      return particle;
+    }
+
+    function release(particle) {
+      particle.sprite.visible = false;
+      free.push(particle);
+    }
+
+    function spawn(preset, init) {
+      const particle = acquire();
+      if (!particle) return;
+      const { sprite } = particle;
+      particle.age = 0;
+      particle.life = lerp(preset.life[0], preset.life[1], random());
+      particle.gravity = preset.gravity || 0;
+      particle.orbit = null;
+      particle.vx = 0;
+      particle.vy = 0;
+      init(particle);
+      particle.size = lerp(preset.size[0], preset.size[1], random());
+      sprite.tint = pick(preset.colors, random);
+      sprite.blendMode = preset === SPLASH ? 'normal' : 'add';
+      sprite.scale.set(particle.size);
+      sprite.alpha = 1;
+      sprite.visible = true;
+      active.push(particle);
+    }
+
+    function burst(preset, x, y, { spread = Math.PI * 2, direction = 0, scale = 1 } = {}) {
+      const count = Math.round(preset.count * scale);
+      for (let i = 0; i < count; i += 1) {
+        spawn(preset, (p) => {
+          const angle = direction + (random() - 0.5) * spread;
+          const speed = lerp(preset.speed[0], preset.speed[1], random()) * scale;
+          p.sprite.position.set(x, y);
+          p.vx = Math.cos(angle) * speed;
+          p.vy = Math.sin(angle) * speed;
+        });
+      }
+    }
+
+    // Screw lands in the cart hole.
+    function sparks(x, y) {
+      if (reduced) return;
+      burst(SPARK, x, y, { direction: -Math.PI / 2, spread: Math.PI * 1.2 });
+    }
+
+    // Magic screw: particles spiral in towards the catch point.
+    function swirl(x, y) {
+      if (reduced) return;
+      for (let i = 0; i < SWIRL.count; i += 1) {
+        spawn(SWIRL, (p) => {
+          p.orbit = {
+            cx: x,
+            cy: y,
+            angle: (i / SWIRL.count) * Math.PI * 2,
+            radius: lerp(SWIRL.radius[0], SWIRL.radius[1], random()),
+          };
+          p.sprite.position.set(x, y);
+        });
+      }
+    }
+
+    // Something hit the water line; `scale` grows the plume (fish > screws).
+    function splash(x, y, scale = 1) {
+      if (reduced) return;
+      burst(SPLASH, x, y, { direction: -Math.PI / 2, spread: Math.PI * 0.7, scale });
+    }
+
+    // Floating label in the style of flashText() in game.phaser.js.
+    function popup(text, color, x = width / 2, y = height / 2) {
+      let entry = popups.find((p) => !p.view.visible);
+      if (!entry) {
+        if (popups.length < MAX_POPUPS) {
+          entry = { view: new PIXI.Text({ text, style: { fontFamily: 'Roboto, Arial', fontSize: 24, fill: color } }) };
+          entry.view.anchor.set(0.5);
+          popupLayer.addChild(entry.view);
+          popups.push(entry);
+        } else {
+          entry = popups.reduce((oldest, p) => (p.age > oldest.age ? p : oldest));
+        }
+      }
+      entry.view.text = text;
+      entry.view.style.fill = color;
+      entry.view.position.set(x, y);
+      entry.view.alpha = 1;
+      entry.view.visible = true;
+      entry.age = 0;
+      entry.y = y;
+    }
+
+    // Fish hit: shake the playfield and flash it red.
+    function hit() {
+      if (reduced) return;
+      shakeLeft = SHAKE_TIME;
+      flashLeft = FLASH_TIME;
+      flash.visible = true;
+    }
+
+    function update(dt) {
+      for (let i = active.length - 1; i >= 0; i -= 1) {
+        const p = active[i];
+        p.age += dt;
+        const t = p.age / p.life;
+        if (t >= 1) {
+          active.splice(i, 1);
+          release(p);
+          continue;
+        }
+        if (p.orbit) {
+          p.orbit.angle += SWIRL.spin * dt;
+          const radius = p.orbit.radius * (1 - t);
+          p.sprite.position.set(p.orbit.cx + Math.cos(p.orbit.angle) * radius, p.orbit.cy + Math.sin(p.orbit.angle) * radius);
+        } else {
+          p.vy += p.gravity * dt;
+          p.sprite.x += p.vx * dt;
+          p.sprite.y += p.vy * dt;
+        }
+        p.sprite.alpha = 1 - t * t;
+        p.sprite.scale.set(p.size * (1 - t * 0.5));
+      }
+
+      popups.forEach((p) => {
+        if (!p.view.visible) return;
+        p.age += dt;
+        const t = Math.min(1, p.age / POPUP_LIFE);
+        const eased = 1 - Math.pow(1 - t, 3); // cubic ease-out, as in Phaser
+        p.view.alpha = 1 - eased;
+        if (!reduced) p.view.y = p.y - POPUP_RISE * eased;
+        if (t >= 1) p.view.visible = false;
+      });
+
+      if (shakeLeft > 0) {
+        shakeLeft = Math.max(0, shakeLeft - dt);
+        const amplitude = SHAKE_AMPLITUDE * (shakeLeft / SHAKE_TIME);
+        shakeTarget.position.set(shakeOrigin.x + (random() * 2 - 1) * amplitude, shakeOrigin.y + (random() * 2 - 1) * amplitude);
+      }
+      if (flashLeft > 0) {
+        flashLeft = Math.max(0, flashLeft - dt);
+        flash.alpha = FLASH_ALPHA * (flashLeft / FLASH_TIME);
+        flash.visible = flashLeft > 0;
+      }
+    }
+
+    // Drops everything in flight, e.g. on restart or when leaving the game.
+    function clear() {
+      active.splice(0).forEach(release);
+      popups.forEach((p) => {
+        p.view.visible = false;
+      });
+      shakeLeft = 0;
+      flashLeft = 0;
+      flash.visible = false;
+      shakeTarget.position.set(shakeOrigin.x, shakeOrigin.y);
+    }
+
+    return {
+      sparks,
+      swirl,
+      splash,
+      popup,
+      hit,
+      update,
+      clear,
+      reducedMotion: () => reduced,
+    };
+  }
+
+  return { MAX_PARTICLES, watchReducedMotion, createEffects };
+});
@@ -0,0 +1,203 @@
+// Translations for the support page and the game. Each language is a JSON
+// file in locales/ with nested keys; en.json is complete and fills in any
+// key another locale lacks. Strings take {name} placeholders (numbers are
+// formatted for the locale) and an entry may be an object of Intl.PluralRules
+// categories picked by its {count}. The language comes from a saved choice,
+// then navigator.languages, then English. Static markup is translated
+// through data-i18n attributes; scripts call t(). Under Node (tools and
+// tests) the English file is read from disk. Run
+// `node tools/check-locales.js` to list keys a locale is missing.
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    api.setMessages(api.DEFAULT_LOCALE, require('./locales/en.json'));
+    module.exports = api;
+  } else {
+    root.CatchbotI18n = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  const LOCALE_KEY = 'catchbot-locale';
+  const LOCALES_DIR = 'locales';
+  const DEFAULT_LOCALE = 'en';
+  const LANGUAGES = [
+    { id: 'en', name: 'English' },
+    { id: 'ru', name: 'Русский' },
+  ];
+
+  const localeListeners = [];
+
+  const isPlural = (value) => Boolean(value) && typeof value === 'object' && typeof value.other === 'string';
+
+  // { 'hud.score': 'Score: {score}', ... }; plural objects stay whole.
+  function flatten(messages, prefix = '', out = {}) {
+    Object.keys(messages || {}).forEach((key) => {
+      const value = messages[key];
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (typeof value === 'string' || isPlural(value)) {
+        out[path] = value;
+      } else if (value && typeof value === 'object') {
+        flatten(value, path, out);
+      }
+    });
+    return out;
+  }
+
+  // Keys of `base` that `other` lacks, plus plural categories `locale`
+  // needs but does not define (as "key#few").
+  function missingKeys(base, other, locale) {
+    const baseFlat = flatten(base);
+    const otherFlat = flatten(other);
+    const categories = new Intl.PluralRules(locale).resolvedOptions().pluralCategories;
+    return Object.keys(baseFlat).flatMap((key) => {
+      if (!(key in otherFlat)) return [key];
+      if (!isPlural(baseFlat[key])) return [];
+      if (!isPlural(otherFlat[key])) return [`${key}#other`];
+      return categories.filter((c) => typeof otherFlat[key][c] !== 'string').map((c) => `${key}#${c}`);
+    });
+  }
+
+  // t(key, params) for one locale. Unknown keys come back as the key itself
+  // so a gap shows up on screen instead of breaking the page.
+  function createTranslator(locale, messages = {}, fallback = {}) {
+    const table = { ...flatten(fallback), ...flatten(messages) };
+    const numbers = new Intl.NumberFormat(locale);
+    const plurals = new Intl.PluralRules(locale);
+
+    function t(key, params = {}) {
+      let text = table[key];
+      if (text === undefined) return key;
+      if (isPlural(text)) text = text[plurals.select(Number(params.count))] || text.other;
+      return text.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? numbers.format(value) : String(value);
+      });
+    }
+
+    t.locale = locale;
+    t.number = (value) => numbers.format(value);
+    return t;
+  }
+
+  let active = createTranslator(DEFAULT_LOCALE);
+  let ready = null;
+
+  function detectLocale({ storage = globalThis.localStorage, nav = globalThis.navigator } = {}) {
+    const known = (id) => LANGUAGES.some((l) => l.id === id);
+    try {
+      const saved = storage.getItem(LOCALE_KEY);
+      if (known(saved)) return saved;
+    } catch (err) {
+      // no storage: go by the browser
+    }
+    const wanted = (nav && (nav.languages && nav.languages.length ? nav.languages : [nav.language])) || [];
+    const match = wanted.map((tag) => String(tag || '').toLowerCase().split('-')[0]).find(known);
+    return match || DEFAULT_LOCALE;
+  }
+
+  function saveLocale(id, storage = globalThis.localStorage) {
+    storage.setItem(LOCALE_KEY, id);
+  }
+
+  // Switches to strings that are already loaded, without touching the page.
+  function setMessages(id, messages, base = messages) {
+    active = createTranslator(id, messages, base);
+  }
+
+  // Resolves to null when the file is missing.
+  function loadMessages(id) {
+    return fetch(`${LOCALES_DIR}/${id}.json`).then((res) => {
+      if (res.ok) return res.json();
+      console.warn(`Could not load ${LOCALES_DIR}/${id}.json (${res.status})`);
+      return null;
+    });
+  }
+
+  // data-i18n="key" sets the text; data-i18n-attr="aria-label:key;title:key"
+  // sets attributes.
+  function translateDocument(doc = globalThis.document) {
+    if (!doc) return;
+    doc.documentElement.lang = active.locale;
+    Array.from(doc.querySelectorAll('[data-i18n]')).forEach((el) => {
+      el.textContent = active(el.getAttribute('data-i18n'));
+    });
+    Array.from(doc.querySelectorAll('[data-i18n-attr]')).forEach((el) => {
+      el.getAttribute('data-i18n-attr').split(';').forEach((pair) => {
+        const [attr, key] = pair.split(':');
+        if (attr && key) el.setAttribute(attr.trim(), active(key.trim()));
+      });
+    });
+  }
+
+  // Loads `id` (and English under it), then retranslates the page and tells
+  // listeners. A locale that fails to load leaves the current one in place.
+  function useLocale(id, { doc = globalThis.document } = {}) {
+    const english = loadMessages(DEFAULT_LOCALE);
+    const wanted = id === DEFAULT_LOCALE ? english : loadMessages(id);
+    ready = Promise.all([english, wanted])
+      .then(([base, messages]) => {
+        if (!base || !messages) return;
+        setMessages(id, messages, base);
+        translateDocument(doc);
+        localeListeners.forEach((fn) => fn(id));
+      })
+      .catch((err) => console.warn(err));
+    return ready;
+  }
+
+  function init(options = {}) {
+    return useLocale(detectLocale(options), options);
+  }
+
+  function onLocaleChange(fn) {
+    localeListeners.push(fn);
+    return () => {
+      const i = localeListeners.indexOf(fn);
+      if (i >= 0) localeListeners.splice(i, 1);
+    };
+  }
+
+  // Wires the #language-select picker on the support page.
+  function createLanguageSwitcher({ doc = globalThis.document, storage = globalThis.localStorage } = {}) {
+    const select = doc.getElementById('language-select');
+    if (!select) return null;
+    select.innerHTML = '';
+    LANGUAGES.forEach(({ id, name }) => {
+      const option = doc.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = detectLocale({ storage });
+    select.addEventListener('change', () => {
+      saveLocale(select.value, storage);
+      useLocale(select.value, { doc });
+    });
+    onLocaleChange((id) => {
+      select.value = id;
+    });
+    return { select };
+  }
+
+  return {
+    LANGUAGES,
+    DEFAULT_LOCALE,
+    flatten,
+    missingKeys,
+    createTranslator,
+    detectLocale,
+    saveLocale,
+    setMessages,
+    loadMessages,
+    translateDocument,
+    useLocale,
+    init,
+    onLocaleChange,
+    createLanguageSwitcher,
+    t: (key, params) => active(key, params),
+    number: (value) => active.number(value),
+    locale: () => active.locale,
+    ready: () => ready || Promise.resolve(),
+  };
+});
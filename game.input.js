@@ -0,0 +1,530 @@
+// Shared input layer for the Pixi and Phaser builds: rebindable keyboard
+// controls stored in localStorage, the settings panel that edits them,
+// Gamepad API polling, the touch scheme and vibration feedback. Front ends
+// subscribe with createKeyboardInput() / createGamepadInput() and never read
+// key codes or button indices. Action, scheme and key names are the
+// settings.actions, settings.touchSchemes and keys strings in the locale
+// files.
+
+(function (root, factory) {
+  const api = factory(root.CatchbotI18n || (typeof require === 'function' ? require('./game.i18n.js') : null));
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotInput = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (CatchbotI18n) => {
+  const { t } = CatchbotI18n;
+  const BINDINGS_KEY = 'catchbot-keybindings';
+  const SLOTS_PER_ACTION = 2;
+  const ACTIONS = [
+    { id: 'left' },
+    { id: 'right' },
+    { id: 'pause' },
+    { id: 'restart' },
+    { id: 'left2' },
+    { id: 'right2' },
+    { id: 'switch' },
+    { id: 'debug' },
+  ];
+  const DEFAULT_BINDINGS = {
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    pause: ['KeyP', 'Escape'],
+    restart: ['KeyR'],
+    left2: ['KeyJ', 'Numpad4'],
+    right2: ['KeyL', 'Numpad6'],
+    switch: ['Space'],
+    debug: ['Backquote'],
+  };
+  // Tilt actions as [player, direction], and the opposite key of each.
+  const AIM_ACTIONS = { left: [0, -1], right: [0, 1], left2: [1, -1], right2: [1, 1] };
+  const OPPOSITE = { left: 'right', right: 'left', left2: 'right2', right2: 'left2' };
+  const KEY_SYMBOLS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Backquote: '`',
+  };
+  // keys whose names are translated (keys.<code>)
+  const NAMED_KEYS = ['Escape', 'Space', 'Enter', 'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'Numpad4', 'Numpad6'];
+
+  // Standard Gamepad mapping (https://w3c.github.io/gamepad/#remapping).
+  const PAD = {
+    leftStickX: 0,
+    a: 0,
+    leftShoulder: 4,
+    rightShoulder: 5,
+    select: 8,
+    start: 9,
+    dpadLeft: 14,
+    dpadRight: 15,
+  };
+  const PAD_DEADZONE = 0.25;
+
+  const TOUCH_KEY = 'catchbot-touch';
+  // How touches steer: `halves` swings the cart to the half you touch,
+  // `drag` follows the way your finger slides from wherever it lands, and
+  // `buttons` shows arrow buttons in the bottom corners instead.
+  const TOUCH_SCHEMES = [{ id: 'halves' }, { id: 'drag' }, { id: 'buttons' }];
+  const DEFAULT_TOUCH = { scheme: 'halves', haptics: true };
+  const DRAG_THRESHOLD = 40; // game pixels a finger slides before the cart swings
+  const HAPTIC_PATTERNS = { catch: 12, miss: 45, hit: [70, 50, 70] }; // navigator.vibrate() ms
+
+  const settingsListeners = [];
+  const touchListeners = [];
+
+  function cloneBindings(bindings) {
+    return ACTIONS.reduce((acc, { id }) => ({ ...acc, [id]: [...(bindings[id] || [])] }), {});
+  }
+
+  function loadBindings(storage = globalThis.localStorage) {
+    try {
+      const stored = JSON.parse(storage.getItem(BINDINGS_KEY) || 'null');
+      if (!stored || typeof stored !== 'object') return cloneBindings(DEFAULT_BINDINGS);
+      return ACTIONS.reduce((acc, { id }) => {
+        const codes = Array.isArray(stored[id]) ? stored[id].filter((c) => typeof c === 'string') : null;
+        return { ...acc, [id]: codes && codes.length ? codes.slice(0, SLOTS_PER_ACTION) : [...DEFAULT_BINDINGS[id]] };
+      }, {});
+    } catch (err) {
+      return cloneBindings(DEFAULT_BINDINGS);
+    }
+  }
+
+  function saveBindings(bindings, storage = globalThis.localStorage) {
+    storage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+    settingsListeners.forEach((fn) => fn(bindings));
+  }
+
+  // Puts `code` into an action slot, taking it away from any other action.
+  function bindKey(bindings, action, slot, code) {
+    const next = cloneBindings(bindings);
+    ACTIONS.forEach(({ id }) => {
+      next[id] = next[id].filter((c) => c !== code);
+    });
+    const codes = next[action];
+    codes[Math.min(slot, codes.length)] = code;
+    next[action] = codes.filter(Boolean);
+    return next;
+  }
+
+  function actionForCode(bindings, code) {
+    const match = ACTIONS.find(({ id }) => bindings[id].includes(code));
+    return match ? match.id : null;
+  }
+
+  const actionLabel = (id) => t(`settings.actions.${id}`);
+  const touchSchemeLabel = (id) => t(`settings.touchSchemes.${id}`);
+
+  function keyLabel(code) {
+    if (KEY_SYMBOLS[code]) return KEY_SYMBOLS[code];
+    if (NAMED_KEYS.includes(code)) return t(`keys.${code}`);
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    return code;
+  }
+
+  function onBindingsChange(fn) {
+    settingsListeners.push(fn);
+    return () => {
+      const i = settingsListeners.indexOf(fn);
+      if (i >= 0) settingsListeners.splice(i, 1);
+    };
+  }
+
+  function loadTouchSettings(storage = globalThis.localStorage) {
+    try {
+      const stored = JSON.parse(storage.getItem(TOUCH_KEY) || 'null');
+      if (stored && typeof stored === 'object') {
+        return {
+          scheme: TOUCH_SCHEMES.some((s) => s.id === stored.scheme) ? stored.scheme : DEFAULT_TOUCH.scheme,
+          haptics: typeof stored.haptics === 'boolean' ? stored.haptics : DEFAULT_TOUCH.haptics,
+        };
+      }
+    } catch (err) {
+      // fall back to the defaults
+    }
+    return { ...DEFAULT_TOUCH };
+  }
+
+  function saveTouchSettings(settings, storage = globalThis.localStorage) {
+    storage.setItem(TOUCH_KEY, JSON.stringify(settings));
+    touchListeners.forEach((fn) => fn(settings));
+  }
+
+  function onTouchChange(fn) {
+    touchListeners.push(fn);
+    return () => {
+      const i = touchListeners.indexOf(fn);
+      if (i >= 0) touchListeners.splice(i, 1);
+    };
+  }
+
+  // Drag-to-tilt for one pointer, in game coordinates. move(x) returns -1 or
+  // 1 once the finger has slid DRAG_THRESHOLD that way from where it landed
+  // or last turned, and 0 otherwise. While the finger keeps going the same
+  // way the turn point follows it, so reversing always takes the same slide.
+  function createDragTracker(startX, threshold = DRAG_THRESHOLD) {
+    let anchor = startX;
+    let dir = 0;
+    return {
+      move(x) {
+        if ((dir === 1 && x > anchor) || (dir === -1 && x < anchor)) anchor = x;
+        if (Math.abs(x - anchor) < threshold || Math.sign(x - anchor) === dir) return 0;
+        dir = Math.sign(x - anchor);
+        anchor = x;
+        return dir;
+      },
+    };
+  }
+
+  // Short vibrations on catches, misses and hits where navigator.vibrate()
+  // exists and the player has not turned them off.
+  function createHaptics({ nav = globalThis.navigator } = {}) {
+    let { haptics: enabled } = loadTouchSettings();
+    onTouchChange((next) => {
+      enabled = next.haptics;
+    });
+    const supported = Boolean(nav && typeof nav.vibrate === 'function');
+    return {
+      supported,
+      pulse(kind) {
+        if (enabled && supported && HAPTIC_PATTERNS[kind]) nav.vibrate(HAPTIC_PATTERNS[kind]);
+      },
+    };
+  }
+
+  function isTextField(el) {
+    if (!el) return false;
+    const tag = el.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || el.isContentEditable;
+  }
+
+  // Tracks held tilt keys and reports the latest direction via onAim(-1|1),
+  // or onAim2 for the second player's keys in versus. Releasing one side
+  // while the other is still held swings back to it. The switch key calls
+  // onSwitch, which front ends ignore unless one-switch control is on. The
+  // debug key calls onDebug to show or hide the diagnostics overlay.
+  function createKeyboardInput({ target = globalThis, onAim, onAim2, onSwitch, onPause, onRestart, onDebug, isBlocked } = {}) {
+    let bindings = loadBindings();
+    const held = { left: false, right: false, left2: false, right2: false };
+
+    function aim(action) {
+      const [player, dir] = AIM_ACTIONS[action];
+      const handler = player === 0 ? onAim : onAim2;
+      if (handler) handler(dir);
+    }
+
+    function handleKeyDown(e) {
+      if (isBlocked && isBlocked()) return;
+      if (isTextField(e.target)) return;
+      const action = actionForCode(bindings, e.code);
+      if (!action) return;
+      e.preventDefault();
+      if (AIM_ACTIONS[action]) {
+        held[action] = true;
+        aim(action);
+        return;
+      }
+      if (e.repeat) return;
+      if (action === 'pause' && onPause) onPause();
+      if (action === 'restart' && onRestart) onRestart();
+      if (action === 'switch' && onSwitch) onSwitch();
+      if (action === 'debug' && onDebug) onDebug();
+    }
+
+    function handleKeyUp(e) {
+      const action = actionForCode(bindings, e.code);
+      if (!AIM_ACTIONS[action]) return;
+      held[action] = false;
+      if (held[OPPOSITE[action]]) aim(OPPOSITE[action]);
+    }
+
+    function handleBlur() {
+      Object.keys(held).forEach((action) => {
+        held[action] = false;
+      });
+    }
+
+    const unsubscribe = onBindingsChange((next) => {
+      bindings = next;
+      handleBlur();
+    });
+    target.addEventListener('keydown', handleKeyDown);
+    target.addEventListener('keyup', handleKeyUp);
+    target.addEventListener('blur', handleBlur);
+
+    return {
+      isHeld: (action) => Boolean(held[action]),
+      direction: () => (held.right ? 1 : 0) - (held.left ? 1 : 0),
+      destroy() {
+        unsubscribe();
+        target.removeEventListener('keydown', handleKeyDown);
+        target.removeEventListener('keyup', handleKeyUp);
+        target.removeEventListener('blur', handleBlur);
+      },
+    };
+  }
+
+  function applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude < deadzone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+  }
+
+  function isPressed(pad, index) {
+    const button = pad.buttons && pad.buttons[index];
+    if (!button) return false;
+    return typeof button === 'object' ? button.pressed || button.value > 0.5 : button > 0.5;
+  }
+
+  // Reads the first connected pad: left stick / d-pad / shoulders tilt,
+  // A is the one-switch flip, Start pauses and Select restarts. Polls on animation frames only while a
+  // pad is connected so it keeps working while the game ticker is stopped.
+  function createGamepadInput({
+    target = globalThis,
+    getGamepads = () => (globalThis.navigator && globalThis.navigator.getGamepads ? globalThis.navigator.getGamepads() : []),
+    schedule = (fn) => globalThis.requestAnimationFrame(fn),
+    deadzone = PAD_DEADZONE,
+    onAim,
+    onSwitch,
+    onPause,
+    onRestart,
+    onConnect,
+    onDisconnect,
+    isBlocked,
+  } = {}) {
+    let padIndex = null;
+    let value = 0;
+    let lastAim = 0;
+    let prevA = false;
+    let prevStart = false;
+    let prevSelect = false;
+    let polling = false;
+    let destroyed = false;
+
+    function connectedPads() {
+      return Array.from(getGamepads() || []).filter((pad) => pad && pad.connected !== false);
+    }
+
+    function activePad() {
+      const pads = connectedPads();
+      return pads.find((pad) => pad.index === padIndex) || pads[0] || null;
+    }
+
+    function poll() {
+      const pad = activePad();
+      if (!pad) {
+        if (padIndex !== null && onDisconnect) onDisconnect(padIndex);
+        padIndex = null;
+        value = 0;
+        lastAim = 0;
+        return false;
+      }
+      if (pad.index !== padIndex) {
+        padIndex = pad.index;
+        prevA = isPressed(pad, PAD.a);
+        prevStart = isPressed(pad, PAD.start);
+        prevSelect = isPressed(pad, PAD.select);
+        if (onConnect) onConnect(pad);
+      }
+
+      const stick = applyDeadzone((pad.axes && pad.axes[PAD.leftStickX]) || 0, deadzone);
+      const digital = (isPressed(pad, PAD.dpadRight) || isPressed(pad, PAD.rightShoulder) ? 1 : 0)
+        - (isPressed(pad, PAD.dpadLeft) || isPressed(pad, PAD.leftShoulder) ? 1 : 0);
+      value = digital !== 0 ? digital : stick;
+
+      const blocked = isBlocked && isBlocked();
+      const aim = Math.sign(value);
+      if (!blocked && aim !== 0 && aim !== lastAim && onAim) onAim(aim);
+      lastAim = aim;
+
+      const a = isPressed(pad, PAD.a);
+      const start = isPressed(pad, PAD.start);
+      const select = isPressed(pad, PAD.select);
+      if (!blocked && a && !prevA && onSwitch) onSwitch();
+      if (!blocked && start && !prevStart && onPause) onPause();
+      if (!blocked && select && !prevSelect && onRestart) onRestart();
+      prevA = a;
+      prevStart = start;
+      prevSelect = select;
+      return true;
+    }
+
+    function loop() {
+      if (destroyed) return;
+      if (!poll()) {
+        polling = false;
+        return;
+      }
+      schedule(loop);
+    }
+
+    function startPolling() {
+      if (polling || destroyed) return;
+      polling = true;
+      schedule(loop);
+    }
+
+    function handleConnected() {
+      startPolling();
+    }
+
+    function handleDisconnected(e) {
+      if (e && e.gamepad && e.gamepad.index === padIndex) {
+        poll();
+      }
+    }
+
+    target.addEventListener('gamepadconnected', handleConnected);
+    target.addEventListener('gamepaddisconnected', handleDisconnected);
+    if (connectedPads().length) startPolling();
+
+    return {
+      poll,
+      direction: () => value,
+      isConnected: () => padIndex !== null,
+      destroy() {
+        destroyed = true;
+        target.removeEventListener('gamepadconnected', handleConnected);
+        target.removeEventListener('gamepaddisconnected', handleDisconnected);
+      },
+    };
+  }
+
+  // The Touch rows of the settings panel: #touch-scheme and #touch-haptics.
+  function bindTouchRows(doc) {
+    const schemeEl = doc.getElementById('touch-scheme');
+    const hapticsEl = doc.getElementById('touch-haptics');
+    if (schemeEl) {
+      const fillSchemes = () => {
+        schemeEl.innerHTML = '';
+        TOUCH_SCHEMES.forEach(({ id }) => {
+          const option = doc.createElement('option');
+          option.value = id;
+          option.textContent = touchSchemeLabel(id);
+          schemeEl.appendChild(option);
+        });
+        schemeEl.value = loadTouchSettings().scheme;
+      };
+      fillSchemes();
+      CatchbotI18n.onLocaleChange(fillSchemes);
+      schemeEl.addEventListener('change', () => saveTouchSettings({ ...loadTouchSettings(), scheme: schemeEl.value }));
+    }
+    if (hapticsEl) {
+      hapticsEl.addEventListener('change', () => saveTouchSettings({ ...loadTouchSettings(), haptics: hapticsEl.checked }));
+    }
+    return () => {
+      const settings = loadTouchSettings();
+      if (schemeEl) schemeEl.value = settings.scheme;
+      if (hapticsEl) hapticsEl.checked = settings.haptics;
+    };
+  }
+
+  // Wires the #settings-panel markup in index.html. Front ends pass hooks so
+  // the run pauses while the panel is open.
+  function createSettingsPanel({ doc = globalThis.document, onOpen, onClose } = {}) {
+    const panel = doc.getElementById('settings-panel');
+    const keysEl = doc.getElementById('settings-keys');
+    if (!panel || !keysEl) return null;
+    let capture = null;
+    const renderTouch = bindTouchRows(doc);
+
+    function render() {
+      const bindings = loadBindings();
+      keysEl.innerHTML = '';
+      ACTIONS.forEach(({ id }) => {
+        const label = actionLabel(id);
+        const row = doc.createElement('div');
+        row.className = 'settings-row';
+        const name = doc.createElement('span');
+        name.className = 'settings-label';
+        name.textContent = label;
+        row.appendChild(name);
+        for (let slot = 0; slot < SLOTS_PER_ACTION; slot += 1) {
+          const button = doc.createElement('button');
+          button.type = 'button';
+          button.className = 'key-chip';
+          const waiting = capture && capture.action === id && capture.slot === slot;
+          const code = bindings[id][slot];
+          button.textContent = waiting ? t('settings.pressKey') : code ? keyLabel(code) : '—';
+          button.setAttribute('aria-label', t('settings.keySlot', { action: label, slot: slot + 1, key: code ? keyLabel(code) : t('settings.unbound') }));
+          button.addEventListener('click', () => {
+            capture = { action: id, slot };
+            render();
+          });
+          row.appendChild(button);
+        }
+        keysEl.appendChild(row);
+      });
+    }
+
+    function handleCapture(e) {
+      if (!capture) return;
+      e.preventDefault();
+      e.stopPropagation();
+      saveBindings(bindKey(loadBindings(), capture.action, capture.slot, e.code));
+      capture = null;
+      render();
+    }
+
+    function open() {
+      capture = null;
+      render();
+      renderTouch();
+      panel.hidden = false;
+      if (onOpen) onOpen();
+    }
+
+    function close() {
+      capture = null;
+      panel.hidden = true;
+      if (onClose) onClose();
+    }
+
+    doc.addEventListener('keydown', handleCapture, true);
+    CatchbotI18n.onLocaleChange(() => {
+      if (!panel.hidden) render();
+    });
+    const closeBtn = doc.getElementById('settings-close');
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    const resetBtn = doc.getElementById('settings-reset');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        saveBindings(cloneBindings(DEFAULT_BINDINGS));
+        capture = null;
+        render();
+      });
+    }
+    const openBtn = doc.getElementById('settings-button');
+    if (openBtn) openBtn.addEventListener('click', open);
+
+    return {
+      open,
+      close,
+      isOpen: () => !panel.hidden,
+    };
+  }
+
+  return {
+    ACTIONS,
+    DEFAULT_BINDINGS,
+    TOUCH_SCHEMES,
+    loadBindings,
+    saveBindings,
+    bindKey,
+    actionForCode,
+    keyLabel,
+    onBindingsChange,
+    loadTouchSettings,
+    saveTouchSettings,
+    onTouchChange,
+    createDragTracker,
+    createHaptics,
+    createKeyboardInput,
+    createGamepadInput,
+    createSettingsPanel,
+    applyDeadzone,
+  };
+});
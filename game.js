@@ -1,38 +1,59 @@
-// Pixi.js implementation approximating SpriteKit scene (1200x768). Contains
-// conveyors, water, stand, robot, and SpawnScrewIntellect-inspired difficulty.
-// Includes fish arcs/unlock, magic screws with recovery, HUD, and sound effects.
+// Pixi.js implementation approximating SpriteKit scene (1314x768). Draws the
+// conveyors, water, stand, robot, HUD and sound effects on top of the headless
+// simulation in game.sim.js, which owns spawning, fish, magic screws and the
+// SpawnScrewIntellect-inspired difficulty. Versus (game.versus.js) draws two
+// half-size views of the same scene side by side, one per player. The
+// default renderer in game.boot.js.
 
 (() => {
-  const BASE_WIDTH = 1314; // matches SpriteKit background width
-  const BASE_HEIGHT = 768;
-  const GRAVITY = 2100;
-  const ROBOT_X = BASE_WIDTH / 2;
-  const SPAWN_POINTS = [
-    { x: 62, y: 530, dir: 1 },
-    { x: 92, y: 344, dir: 1 },
-    { x: BASE_WIDTH - 62, y: 530, dir: -1 },
-    { x: BASE_WIDTH - 92, y: 344, dir: -1 },
-  ];
-  const LAUNCH = { dx: 240, dy: 260 };
-  const MAX_MISSES = 5;
-  const BEST_KEY = 'catchbot-best-score';
-  const CART_OFFSET = 112;
-  const HANDS_OFFSET = 20;
-  const CART_HOLE_WIDTH = 120;
-  const CART_HOLE_HEIGHT = 28;
-  const ROBOT_SCALE = 1.05;
+  const { DEFAULT_CONFIG } = window.CatchbotSim;
+  const {
+    createKeyboardInput,
+    createGamepadInput,
+    createSettingsPanel,
+    loadBindings,
+    keyLabel,
+    loadTouchSettings,
+    onTouchChange,
+    createDragTracker,
+    createHaptics,
+  } = window.CatchbotInput;
+  const { createRecorder, createReplayPlayer, createReplayControls, downloadLog, readLogFile } = window.CatchbotReplay;
+  const { loadSelectedLevel, levelToConfig } = window.CatchbotConfig;
+  const { createRobotBrain } = window.CatchbotRobot;
+  const { createEffects } = window.CatchbotFx;
+  const { askInitials } = window.CatchbotLeaderboard;
+  const { ROBOT_SKINS } = window.CatchbotAchievements;
+  const { prepareRun, createRunDriver, applyMode, playerCount, boardFor, boardLabel, statusLine } = window.CatchbotModes;
+  const { MAX_PLAYERS, playerName, createMatch } = window.CatchbotVersus;
+  const { t } = window.CatchbotI18n;
+  const { snapshot, describe, createFpsMeter } = window.CatchbotTelemetry;
+  const { audio, leaderboard, achievements, access, announcer, diagnostics } = window.CatchbotBoot;
+  const BASE_WIDTH = DEFAULT_CONFIG.width; // matches SpriteKit background width
+  const BASE_HEIGHT = DEFAULT_CONFIG.height;
+  const BEST_STREAK_KEY = 'catchbot-best-streak';
+  const RECENT_RUNS_KEY = 'catchbot-recent-runs';
+  const MAX_RECENT_RUNS = 10;
   const STAND_ROCK_ANGLE = 0;
   const STAND_ROCK_SHIFT = 0;
-  const CART_HOLE_X = -140;
-  const CART_HOLE_Y = -90;
-  const FISH_UNLOCK_SCORE = 300; // score uses +10 per catch, matches ~30 catches
-  const FISH_INTERVAL_MIN = 7000;
-  const FISH_INTERVAL_RANGE = 5000;
-  const FISH_HIT_RADIUS = 120;
-  const FISH_UP_DURATION = 1.1;
-  const FISH_DOWN_DURATION = 1.05;
-  const MAGIC_COUNTDOWN = 30;
-  const MAGIC_CHANCE = 0.08;
+  const WATER_LINE = BASE_HEIGHT - 24; // where fish splash down in game.sim.js
+  const VERSUS_SCALE = 0.5; // each player's view in versus
+  const VERSUS_TOP = (BASE_HEIGHT * (1 - VERSUS_SCALE)) / 2;
+  const DEBUG_READOUT_Y = 170; // below the pause and restart buttons
+
+  // Robot rig offsets in source pixels. The head sits on robotBase measured
+  // from its bottom centre; the eye and light sit on robotHeadLeft measured
+  // from its centre. Only the Left heads are drawn: robotPose() mirrors the
+  // whole container when the robot turns right. robotBody, robotCart and
+  // robotHands are flat physics silhouettes from the SpriteKit scene, so the
+  // hand reactions jolt the base (arms and cart) instead of drawing them.
+  const HEAD_OFFSET = { x: 2.5, y: -224.5 };
+  const EYE_OFFSET = { x: -23, y: 1.5 };
+  const LIGHT_OFFSET = { x: 3.5, y: -44.5 };
+  const EYE_SCALE = 1.25;
+  const PUPIL_RANGE = 2.5;
+  const LOOK_RANGE = 300; // distance at which the pupil reaches the rim
+  const HEAD_MOODS = { idle: 'robotHeadLeft', yea: 'robotHeadLeftYea', oi: 'robotHeadLeftOi' };
 
   const assets = [
     { name: 'background', url: 'assets/background.png' },
@@ -53,6 +74,10 @@
     { name: 'waterFront', url: 'assets/waterFront.png' },
     { name: 'screw', url: 'assets/screw.png' },
     { name: 'screwMagic', url: 'assets/screw-magic.png' },
+    { name: 'gear', url: 'assets/gear.png' },
+    { name: 'bomb', url: 'assets/bomb.png' },
+    { name: 'slowmo', url: 'assets/slowmo.png' },
+    { name: 'shield', url: 'assets/shield.png' },
     { name: 'fish', url: 'assets/fish.png' },
     { name: 'caterpillar', url: 'assets/caterpillar_track.png' },
     { name: 'uiPause', url: 'assets/ui-pause.png' },
@@ -60,116 +85,46 @@
     { name: 'uiPlay', url: 'assets/ui-play.png' },
   ];
 
-  const sounds = {
-    collect: 'assets/sfx/collect.wav',
-    miss: 'assets/sfx/miss.wav',
-    fish: 'assets/sfx/ouch.wav',
-  };
-
-  // Simplified SpawnScrewIntellect
-  const intellect = {
-    minInterval: 250,
-    maxInterval: 2500,
-    waveRelaxationBoost: 120,
-    fishRelaxationBoost: 200,
-    relaxationHeadroom: 200,
-    minimumRelaxationCap: 900,
-    relaxationTighteningScore: 120,
-    relaxationEntryEpsilon: 20,
-    waveScoreStep: 25,
-    nextRelaxationScore: 25,
-    bestDifficultyInterval: 2000,
-    pendingRelaxations: 0,
-    reset(spawnInterval) {
-      this.nextRelaxationScore = this.waveScoreStep;
-      this.pendingRelaxations = 0;
-      this.bestDifficultyInterval = spawnInterval;
-    },
-    trigger(state) {
-      let { spawnInterval, score } = state;
-      if (spawnInterval > 500) {
-        spawnInterval = Math.max(this.minInterval, spawnInterval - 0.96);
-      } else {
-        spawnInterval = Math.max(this.minInterval, spawnInterval - 0.08);
-      }
-      ({ spawnInterval, score } = this.maybeRelax(spawnInterval, score));
-      this.bestDifficultyInterval = Math.min(this.bestDifficultyInterval, spawnInterval);
-      state.spawnInterval = spawnInterval;
-    },
-    maybeRelax(spawnInterval, score) {
-      if (score < this.nextRelaxationScore) return { spawnInterval, score };
-      if (spawnInterval > this.bestDifficultyInterval + this.relaxationEntryEpsilon) return { spawnInterval, score };
-      const eased = spawnInterval + this.waveRelaxationBoost;
-      const capped = Math.min(this.relaxationCeiling(), eased);
-      spawnInterval = Math.max(spawnInterval, capped);
-      this.nextRelaxationScore += this.waveScoreStep;
-      this.pendingRelaxations += 1;
-      return { spawnInterval, score };
-    },
-    consumeRelaxation() {
-      if (this.pendingRelaxations > 0) {
-        this.pendingRelaxations -= 1;
-        return true;
-      }
-      return false;
-    },
-    applyFishRelaxation(state) {
-      if (state.spawnInterval > this.bestDifficultyInterval + this.relaxationEntryEpsilon) return;
-      const boosted = state.spawnInterval + this.fishRelaxationBoost;
-      const capped = Math.min(this.relaxationCeiling(), boosted);
-      state.spawnInterval = Math.max(state.spawnInterval, capped);
-    },
-    relaxationCeiling() {
-      const scoreFactor = Math.min(1, gameState.score / this.relaxationTighteningScore);
-      const scoreCap = this.maxInterval - (this.maxInterval - this.minimumRelaxationCap) * scoreFactor;
-      const progressCap = Math.max(this.minInterval, this.bestDifficultyInterval + this.relaxationHeadroom);
-      return Math.min(scoreCap, progressCap);
-    },
-  };
-
   let app;
   let rootContainer;
   let gameContainer;
   let hudContainer;
-  let robotContainer;
-  let robotHead;
-  let cartHole;
-  let stand;
-  let waterBack;
-  let waterFront;
-  let standBaseY = 0;
-  let items = [];
+  let fxContainer;
+  let effects = null;
+  let gameOverContainer = null;
+  let pauseContainer = null;
   let statusEl;
-  let activeFish = null;
-  let nextFishAt = 0;
-  let fishWindowClosed = false;
+  let sim = null; // the single-player run; null while a versus match is on
+  let driver = null; // feeds the live single-player run; null in versus and replays
+  let match = null; // versus match from game.versus.js
+  let views = []; // one per player, see createView()
+  let level = null;
+  let levelConfig = DEFAULT_CONFIG;
+  let currentMode = { id: 'classic' }; // { id, date } of the run on screen
+  let recorder = null;
+  let replay = null;
+  let replayControls = null;
+  let stopAchievements = null;
+  let stopAnnouncing = null;
+  let stopLogging = null;
   let tickerAttached = false;
-  let isDragging = false;
-  let aimBias = -1;
-  let aimTarget = -1;
-  let standWavePhase = 0;
-  let waterPhase = 0;
+  const pointers = new Map(); // pointerId -> { player, drag } for each finger down
+  let touchScheme = loadTouchSettings().scheme;
+  const haptics = createHaptics();
+  const fpsMeter = createFpsMeter();
+  let settingsPanel = null;
+  let settingsPausedGame = false;
 
   const gameState = {
-    score: 0,
-    best: 0,
-    misses: 0,
-    spawnInterval: 2000,
-    lastSpawnTime: 0,
+    bestStreak: 0,
     playing: false,
-    targetX: BASE_WIDTH / 2,
-    fishUnlocked: false,
-    magicCountdown: 0,
-    forceMagic: false,
+    paused: false,
   };
 
-  const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
-  const randRange = (min, max) => Math.random() * (max - min) + min;
-
   async function loadPixi() {
     if (window.PIXI) return;
     const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/pixi.js@8.1.5/dist/pixi.min.js';
+    script.src = 'vendor/pixi.min.js';
     document.head.appendChild(script);
     await new Promise((res, rej) => {
       script.onload = res;
@@ -196,9 +151,19 @@
     rootContainer = new PIXI.Container();
     app.stage.addChild(rootContainer);
     gameContainer = new PIXI.Container();
+    fxContainer = new PIXI.Container();
     hudContainer = new PIXI.Container();
     rootContainer.addChild(gameContainer);
+    rootContainer.addChild(fxContainer);
     rootContainer.addChild(hudContainer);
+    effects = createEffects({
+      PIXI,
+      renderer: app.renderer,
+      layer: fxContainer,
+      shakeTarget: gameContainer,
+      width: BASE_WIDTH,
+      height: BASE_HEIGHT,
+    });
 
     window.addEventListener('resize', handleResize);
     handleResize();
@@ -218,8 +183,8 @@
   async function loadAssets() {
     const manifest = assets.reduce((acc, a) => ({ ...acc, [a.name]: a.url }), {});
     await PIXI.Assets.init({ manifest: { bundles: [{ name: 'main', assets: manifest }] } });
-    await PIXI.Assets.loadBundle('main');
-    gameState.best = Number(localStorage.getItem(BEST_KEY) || 0);
+    await Promise.all([PIXI.Assets.loadBundle('main'), audio.load()]);
+    gameState.bestStreak = Number(localStorage.getItem(BEST_STREAK_KEY) || 0);
   }
 
   function createSprite(name, opts = {}) {
@@ -231,102 +196,343 @@
     return sprite;
   }
 
-  function buildRobot() {
-    if (robotContainer) {
-      robotContainer.destroy({ children: true });
-    }
-    robotContainer = new PIXI.Container();
-    robotContainer.position.set(-5, -stand.height * stand.scale.y + 12);
-    robotContainer.scale.set(ROBOT_SCALE);
-    robotContainer.zIndex = 10;
+  function buildRobot(view) {
+    const container = new PIXI.Container();
+    const brain = createRobotBrain();
 
-    const base = createSprite('robot', { anchor: { x: 0.5, y: 1 }, position: { x: 0, y: 0 } });
-    base.scale.set(1);
+    // base and head move together when the hands react
+    const torso = new PIXI.Container();
+    const base = createSprite('robotBase', { anchor: { x: 0.5, y: 1 }, position: { x: 0, y: 0 } });
 
-    cartHole = new PIXI.Graphics();
-    cartHole.beginFill(0xff0000, 0.0001);
-    cartHole.drawRect(-CART_HOLE_WIDTH / 2, -CART_HOLE_HEIGHT / 2, CART_HOLE_WIDTH, CART_HOLE_HEIGHT);
-    cartHole.endFill();
-    cartHole.position.set(CART_HOLE_X, CART_HOLE_Y);
+    const robotHead = new PIXI.Container();
+    robotHead.position.set(HEAD_OFFSET.x, HEAD_OFFSET.y);
+    const head = createSprite(HEAD_MOODS.idle, { anchor: { x: 0.5, y: 0.5 } });
 
-    robotHead = createSprite('robotHeadLeft', { anchor: { x: 0.5, y: 0.5 }, position: { x: 0, y: base.height * -0.35 } });
-    robotHead.scale.set(1.0);
+    const eye = new PIXI.Container();
+    eye.position.set(EYE_OFFSET.x, EYE_OFFSET.y);
+    const eyeball = createSprite('robotEye', { anchor: { x: 0.5, y: 0.5 }, scale: EYE_SCALE });
+    const pupil = createSprite('robotEyeApple', { anchor: { x: 0.5, y: 0.5 }, scale: EYE_SCALE });
+    const lidMask = createSprite('robotEye', { anchor: { x: 0.5, y: 0.5 }, scale: EYE_SCALE });
+    const lid = createSprite('robotEyeLid', { anchor: { x: 0.5, y: 0 }, position: { x: 0, y: -6 * EYE_SCALE }, scale: EYE_SCALE });
+    lid.mask = lidMask;
+    eye.addChild(eyeball, pupil, lidMask, lid);
 
-    robotContainer.addChild(base, cartHole, robotHead);
-    stand.addChild(robotContainer);
+    const light = createSprite('robotLight', { anchor: { x: 0.5, y: 0.5 }, position: LIGHT_OFFSET });
+    light.blendMode = 'add';
+
+    // player two gets whichever of the first two colours player one isn't
+    // wearing, so the robots stay easy to tell apart
+    const chosen = achievements.selectedSkin();
+    const skin = view.index === 0 ? chosen : ROBOT_SKINS[chosen.id === ROBOT_SKINS[0].id ? 1 : 0];
+    base.tint = skin.tint;
+    head.tint = skin.tint;
+    light.tint = skin.light;
+
+    robotHead.addChild(head, eye, light);
+    torso.addChild(base, robotHead);
+    container.addChild(torso);
+    view.scene.addChild(container);
+    view.robot = { container, brain, robotHead, torso, head, eye, pupil, lid, light };
   }
 
-  function buildScene() {
-    gameContainer.removeChildren();
-    hudContainer.removeChildren();
-    items = [];
-    activeFish = null;
-    fishWindowClosed = false;
-    nextFishAt = performance.now() + randRange(FISH_INTERVAL_MIN, FISH_INTERVAL_MIN + FISH_INTERVAL_RANGE);
-    gameState.score = 0;
-    gameState.misses = 0;
-    gameState.spawnInterval = 2000;
-    gameState.lastSpawnTime = performance.now();
-    gameState.targetX = BASE_WIDTH / 2;
-    gameState.magicCountdown = 0;
-    gameState.forceMagic = false;
-    gameState.fishUnlocked = false;
-    aimTarget = -1;
-    aimBias = -1;
-    standWavePhase = 0;
-    intellect.reset(gameState.spawnInterval);
+  // Feeds the nearest falling screw to the robot's eye and applies the
+  // brain's pose (head variant, blink, light pulse, hand jolt) to the rig.
+  function updateRobot(view, dt) {
+    const { robot } = view;
+    let nearest = null;
+    view.sim.items.forEach((item) => {
+      const p = robot.eye.toLocal(new PIXI.Point(item.x, item.y), view.scene);
+      const distance = Math.hypot(p.x, p.y);
+      if (!nearest || distance < nearest.distance) nearest = { x: p.x, y: p.y, distance };
+    });
+    if (nearest) {
+      robot.brain.lookAt(nearest.x / LOOK_RANGE, nearest.y / LOOK_RANGE);
+    } else {
+      robot.brain.lookAt(0, 0);
+    }
+    robot.brain.update(dt);
+
+    const pose = robot.brain.pose();
+    const tex = PIXI.Texture.from(HEAD_MOODS[pose.mood]);
+    if (robot.head.texture !== tex) {
+      robot.head.texture = tex;
+    }
+    robot.pupil.position.set(pose.look.x * PUPIL_RANGE, pose.look.y * PUPIL_RANGE);
+    robot.lid.scale.y = EYE_SCALE * pose.lid;
+    robot.light.alpha = pose.light;
+    robot.light.scale.set(0.35 + 0.25 * pose.light);
+    robot.torso.position.set(pose.shake * 3, -pose.lift * 6);
+    robot.torso.rotation = -pose.lift * 0.03;
+    robot.robotHead.rotation = view.sim.state.aimBias * 0.05;
+  }
+
+  // Sim coordinates of `view` to stage coordinates, for the shared effects layer.
+  function viewPoint(view, x, y) {
+    return { x: view.x + x * view.scale, y: view.y + y * view.scale };
+  }
+
+  // Points a view at another sim (a new run, or a replay segment).
+  function attachSim(view, next) {
+    if (view.sim === next) return;
+    view.sim = next;
+    if (!match) sim = next;
+    const middle = () => viewPoint(view, BASE_WIDTH / 2, BASE_HEIGHT / 2 - 60);
+    const popupMiddle = (text, color) => {
+      const p = middle();
+      effects.popup(text, color, p.x, p.y);
+    };
+    next.on('catch', (payload) => handleCatch(view, payload));
+    next.on('miss', () => handleMiss(view));
+    next.on('fishHit', () => handleFishHit(view));
+    next.on('fishSpawn', ({ fish }) => {
+      const p = viewPoint(view, fish.start.x, WATER_LINE);
+      effects.splash(p.x, p.y, 0.8);
+    });
+    next.on('fishSplash', (payload) => handleFishSplash(view, payload));
+    next.on('streakSaved', () => popupMiddle(t('game.popups.streakSaved'), '#8DE9FF'));
+    next.on('bombHit', (payload) => handleBombHit(view, payload));
+    next.on('slowmo', () => popupMiddle(t('game.popups.slowMotion'), '#C9A7FF'));
+    next.on('shield', () => popupMiddle(t('game.popups.shieldUp'), '#8DE9FF'));
+    next.on('fishBlocked', (payload) => handleFishBlocked(view, payload));
+    next.on('gameOver', () => (match ? handlePlayerOut(view) : endGame()));
+    view.itemSprites.forEach((sprite) => sprite.parent && sprite.parent.removeChild(sprite));
+    view.itemSprites = new Map();
+    if (view.fishSprite) {
+      view.fishSprite.parent && view.fishSprite.parent.removeChild(view.fishSprite);
+      view.fishSprite = null;
+    }
+    if (view.labels) updateHud(view);
+  }
+
+  // Everything drawn for one player: a scene (background, water, stand,
+  // conveyors, robot, items and fish) in sim coordinates, and a HUD. A
+  // single player gets one full-size view; versus puts two half-size views
+  // side by side.
+  function createView(index, { x = 0, y = 0, scale = 1, name = null } = {}) {
+    const scene = new PIXI.Container();
+    scene.position.set(x, y);
+    scene.scale.set(scale);
+    scene.sortableChildren = true;
+    const hud = new PIXI.Container();
+    hud.position.set(x, 0);
+    gameContainer.addChild(scene);
+    hudContainer.addChild(hud);
+    return {
+      index,
+      name,
+      x,
+      y,
+      scale,
+      scene,
+      hud,
+      sim: null,
+      best: 0,
+      robot: null,
+      labels: null,
+      itemSprites: new Map(),
+      fishSprite: null,
+      debug: null,
+      standWavePhase: 0,
+      waterPhase: 0,
+    };
+  }
 
+  function buildWorld(view) {
+    const { scene } = view;
     const bg = createSprite('background', { anchor: { x: 0.5, y: 0.5 }, position: { x: BASE_WIDTH / 2, y: BASE_HEIGHT / 2 } });
     bg.width = BASE_WIDTH;
     bg.height = BASE_HEIGHT;
-    gameContainer.addChild(bg);
+    scene.addChild(bg);
 
-    waterBack = createSprite('waterBack', { anchor: { x: 0.5, y: 1 }, position: { x: BASE_WIDTH / 2, y: BASE_HEIGHT - 18 }, alpha: 0.75 });
-    waterBack.width = BASE_WIDTH;
-    waterFront = createSprite('waterFront', { anchor: { x: 0.5, y: 1 }, position: { x: BASE_WIDTH / 2, y: BASE_HEIGHT - 2 }, alpha: 0.9 });
-    waterFront.width = BASE_WIDTH;
-    gameContainer.addChild(waterBack, waterFront);
+    view.waterBack = createSprite('waterBack', { anchor: { x: 0.5, y: 1 }, position: { x: BASE_WIDTH / 2, y: BASE_HEIGHT - 18 }, alpha: 0.75 });
+    view.waterBack.width = BASE_WIDTH;
+    view.waterFront = createSprite('waterFront', { anchor: { x: 0.5, y: 1 }, position: { x: BASE_WIDTH / 2, y: BASE_HEIGHT - 2 }, alpha: 0.9 });
+    view.waterFront.width = BASE_WIDTH;
+    scene.addChild(view.waterBack, view.waterFront);
 
-    standBaseY = BASE_HEIGHT - 52;
-    stand = createSprite('stand', { anchor: { x: 0.5, y: 1 }, position: { x: BASE_WIDTH / 2, y: standBaseY } });
+    view.standBaseY = BASE_HEIGHT - 52;
+    view.stand = createSprite('stand', { anchor: { x: 0.5, y: 1 }, position: { x: BASE_WIDTH / 2, y: view.standBaseY } });
     const standScale = 1.02;
-    stand.scale.set(standScale);
-    gameContainer.addChild(stand);
-    buildRobot();
+    view.stand.scale.set(standScale);
+    scene.addChild(view.stand);
+    buildRobot(view);
 
     // conveyors
-    gameContainer.sortableChildren = true;
-    SPAWN_POINTS.forEach((pos) => {
+    view.sim.config.spawnPoints.forEach((pos) => {
       const c = createSprite('caterpillar', { anchor: { x: 0.5, y: 0.5 }, position: { x: pos.x, y: pos.y } });
       const scale = 1.2;
       c.scale.set(scale * (pos.dir > 0 ? 1 : -1), scale);
       c.alpha = 0.95;
       c.zIndex = 1;
-      gameContainer.addChild(c);
+      scene.addChild(c);
     });
 
+    if (view.scale !== 1) {
+      // keeps screws falling past the cart inside this player's half
+      const mask = new PIXI.Graphics();
+      mask.beginFill(0xffffff);
+      mask.drawRect(0, 0, BASE_WIDTH, BASE_HEIGHT);
+      mask.endFill();
+      scene.addChild(mask);
+      scene.mask = mask;
+    }
+  }
+
+  // Score, best (or the player's name in versus), misses, streak and the
+  // multiplier chip, top left of the view.
+  function buildHud(view) {
     const textStyle = new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 28, fill: '#E8FCE9' });
     const bestStyle = new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 22, fill: '#8DE9FF' });
     const missStyle = new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 22, fill: '#F6D7D7' });
-    const promptStyle = new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 18, fill: '#CFEFD2' });
+    const streakStyle = new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 22, fill: '#FFE38A' });
+
+    const score = new PIXI.Text(scoreText(view), textStyle);
+    score.position.set(24, 18);
+    const best = new PIXI.Text(view.name ? controlsText(view.index) : t('game.best', { best: view.best }), bestStyle);
+    best.position.set(24, 50);
+    const miss = new PIXI.Text(statusLine(view.sim), missStyle);
+    miss.position.set(24, 76);
+    const streak = new PIXI.Text(streakText(view), streakStyle);
+    streak.position.set(24, 102);
+    const badge = createMultiplierBadge(view);
+    badge.position.set(270, 36);
+
+    view.hud.addChild(score, best, miss, streak, badge);
+    view.labels = { score, best, miss, streak, badge };
+    view.arrows = createArrowButtons(view);
+    view.debug = createDebugOverlay(view);
+  }
+
+  // Diagnostics overlay: shapes in sim coordinates over the scene and a
+  // readout in the top right of the view. Drawn only while it is switched on.
+  function createDebugOverlay(view) {
+    const shapes = new PIXI.Graphics();
+    shapes.zIndex = 100;
+    const readout = new PIXI.Text('', new PIXI.TextStyle({ fontFamily: 'monospace', fontSize: 14, fill: '#F4FFF4', align: 'right' }));
+    readout.anchor.set(1, 0);
+    readout.position.set(BASE_WIDTH * view.scale - 16, DEBUG_READOUT_Y);
+    view.scene.addChild(shapes);
+    view.hud.addChild(readout);
+    shapes.visible = diagnostics.overlay();
+    readout.visible = diagnostics.overlay();
+    return { shapes, readout };
+  }
+
+  function updateDebugOverlay(view) {
+    const { shapes, readout } = view.debug;
+    shapes.visible = diagnostics.overlay();
+    readout.visible = diagnostics.overlay();
+    if (!diagnostics.overlay()) return;
+    const snap = snapshot(view.sim);
+    const hole = snap.cartHole;
+    shapes.clear();
+    shapes.lineStyle(2, 0x7CFF6B, 1);
+    shapes.drawRect(hole.x, hole.y, hole.width, hole.height);
+    shapes.lineStyle(1, 0xFFBA5C, 0.8);
+    shapes.drawCircle(hole.centerX, hole.centerY, snap.fishHitRadius);
+    const { fish } = snap;
+    if (fish) {
+      shapes.lineStyle(1, 0x8DE9FF, 0.8);
+      shapes.moveTo(fish.start.x, fish.start.y);
+      [fish.controlUp, fish.target, fish.controlDown, fish.splash].forEach((p) => shapes.lineTo(p.x, p.y));
+      shapes.lineStyle(0);
+      [fish.controlUp, fish.controlDown].forEach((p) => {
+        shapes.beginFill(0xC9A7FF);
+        shapes.drawCircle(p.x, p.y, 6);
+        shapes.endFill();
+      });
+      shapes.beginFill(0xFF6B5C);
+      shapes.drawCircle(fish.x, fish.y, 5);
+      shapes.endFill();
+    }
+    readout.text = describe(snap, fpsMeter.fps()).join('\n');
+  }
+
+  // The `buttons` touch scheme: a left and a right arrow in the bottom
+  // corners of the view, hidden under the other schemes.
+  function createArrowButtons(view) {
+    const arrows = new PIXI.Container();
+    [[-1, 80, '◀'], [1, BASE_WIDTH * view.scale - 80, '▶']].forEach(([dir, x, glyph]) => {
+      const button = new PIXI.Container();
+      const bg = new PIXI.Graphics();
+      bg.beginFill(0x1f6e2b, 0.75);
+      bg.drawCircle(0, 0, 56);
+      bg.endFill();
+      const text = new PIXI.Text(glyph, new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 40, fill: '#F4FFF4' }));
+      text.anchor.set(0.5);
+      button.addChild(bg, text);
+      button.position.set(x, BASE_HEIGHT - 96);
+      button.eventMode = 'static';
+      button.cursor = 'pointer';
+      button.on('pointerdown', (e) => {
+        e.stopPropagation();
+        steer(dir, view.index);
+      });
+      arrows.addChild(button);
+    });
+    arrows.visible = touchScheme === 'buttons';
+    view.hud.addChild(arrows);
+    return arrows;
+  }
+
+  // Keys (and touch controls) that steer player `index` in versus.
+  function controlsText(index) {
+    const bindings = loadBindings();
+    const keys = index === 0 ? [...bindings.left, ...bindings.right] : [...bindings.left2, ...bindings.right2];
+    const scheme = access.oneSwitch() ? 'oneSwitch' : touchScheme;
+    return t(`versus.controls.${scheme}`, { name: playerName(index), keys: keys.map(keyLabel).join('/') });
+  }
+
+  // Lays out one view per sim: a single player fills the scene, versus
+  // splits it into two half-size views.
+  function buildScene(sims) {
+    gameContainer.removeChildren();
+    hudContainer.removeChildren();
+    effects.clear();
+    const versus = sims.length > 1;
+    const scale = versus ? VERSUS_SCALE : 1;
+    views = sims.map((viewSim, index) => {
+      const view = createView(index, {
+        x: index * BASE_WIDTH * scale,
+        y: versus ? VERSUS_TOP : 0,
+        scale,
+        name: versus ? playerName(index) : null,
+      });
+      attachSim(view, viewSim);
+      if (!versus) {
+        const board = boardFor(currentMode, viewSim.config);
+        view.best = leaderboard.best(board.mode, board.level);
+      }
+      buildWorld(view);
+      buildHud(view);
+      return view;
+    });
 
-    const scoreLabel = new PIXI.Text(`Score: ${gameState.score}`, textStyle);
-    scoreLabel.position.set(24, 18);
-    const bestLabel = new PIXI.Text(`Best: ${gameState.best}`, bestStyle);
-    bestLabel.position.set(24, 50);
-    const missLabel = new PIXI.Text(`Missed: ${gameState.misses}/${MAX_MISSES}`, missStyle);
-    missLabel.position.set(24, 76);
-    const prompt = new PIXI.Text('Tap or move left/right to tilt. Arrows/A/D also work.', promptStyle);
+    const promptStyle = new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 18, fill: '#CFEFD2' });
+    const bindings = loadBindings();
+    const singleHint = access.oneSwitch()
+      ? t('game.hints.oneSwitch', { keys: bindings.switch.map(keyLabel).join('/') })
+      : t(`game.hints.${touchScheme}`, { keys: [...bindings.left, ...bindings.right].map(keyLabel).join('/') });
+    const prompt = new PIXI.Text(versus ? t('versus.prompt') : singleHint, promptStyle);
     prompt.anchor.set(0.5, 1);
     prompt.position.set(BASE_WIDTH / 2, BASE_HEIGHT - 12);
-
-    hudContainer.addChild(scoreLabel, bestLabel, missLabel, prompt);
+    hudContainer.addChild(prompt);
+    if (versus) {
+      const divider = new PIXI.Graphics();
+      divider.beginFill(0x4ee070, 0.8);
+      divider.drawRect(BASE_WIDTH / 2 - 2, 0, 4, BASE_HEIGHT);
+      divider.endFill();
+      hudContainer.addChild(divider);
+    }
 
     const pauseBtn = createSprite('uiPause', { anchor: { x: 0.5, y: 0.5 }, position: { x: BASE_WIDTH - 90, y: 52 } });
     pauseBtn.scale.set(0.7);
     pauseBtn.eventMode = 'static';
     pauseBtn.cursor = 'pointer';
-    pauseBtn.on('pointerdown', togglePause);
+    pauseBtn.on('pointerdown', (e) => {
+      e.stopPropagation();
+      togglePause();
+    });
     const restartBtn = createSprite('uiReplay', { anchor: { x: 0.5, y: 0.5 }, position: { x: BASE_WIDTH - 90, y: 126 } });
     restartBtn.scale.set(0.6);
     restartBtn.eventMode = 'static';
@@ -337,347 +543,723 @@
     hudContainer.sortableChildren = true;
     hudContainer.zIndex = 100;
 
+    // Each pointer keeps steering the player whose half it went down on.
+    // Positions go through rootContainer so the letterboxing and scale from
+    // handleResize() don't move the split point.
+    pointers.clear();
     app.stage.removeAllListeners();
     app.stage.eventMode = 'static';
-    app.stage.hitArea = new PIXI.Rectangle(0, 0, BASE_WIDTH, BASE_HEIGHT);
+    app.stage.hitArea = app.screen;
     app.stage.on('pointermove', (e) => {
-      const p = e.global;
-      if (!isDragging) return;
-      aimTarget = p.x < BASE_WIDTH / 2 ? -1 : 1;
+      const touch = pointers.get(e.pointerId);
+      if (!touch || access.oneSwitch()) return;
+      const p = rootContainer.toLocal(e.global);
+      if (touchScheme === 'halves') steer(pointerAim(p, touch.player), touch.player);
+      if (touchScheme === 'drag') {
+        const dir = touch.drag.move(p.x);
+        if (dir) steer(dir, touch.player);
+      }
     });
     app.stage.on('pointerdown', (e) => {
-      isDragging = true;
-      const p = e.global;
-      aimTarget = p.x < BASE_WIDTH / 2 ? -1 : 1;
+      const p = rootContainer.toLocal(e.global);
+      const player = match && p.x >= BASE_WIDTH / 2 ? 1 : 0;
+      pointers.set(e.pointerId, { player, drag: createDragTracker(p.x) });
+      if (access.oneSwitch()) {
+        flipAim(player);
+      } else if (touchScheme === 'halves') {
+        steer(pointerAim(p, player), player);
+      }
     });
-    app.stage.on('pointerup', () => { isDragging = false; });
-    app.stage.on('pointerupoutside', () => { isDragging = false; });
+    app.stage.on('pointerup', (e) => pointers.delete(e.pointerId));
+    app.stage.on('pointerupoutside', (e) => pointers.delete(e.pointerId));
 
     if (!tickerAttached) {
       app.ticker.add(update);
       tickerAttached = true;
     }
 
-    hudContainer.scoreLabel = scoreLabel;
-    hudContainer.bestLabel = bestLabel;
-    hudContainer.missLabel = missLabel;
+    hudContainer.pauseBtn = pauseBtn;
+  }
+
+  // Left or right of the middle of that player's view.
+  function pointerAim(p, player) {
+    const view = views[player];
+    return p.x < view.x + (BASE_WIDTH * view.scale) / 2 ? -1 : 1;
   }
 
   function togglePause() {
-    if (!gameState.playing) return;
-    app.ticker.started ? app.ticker.stop() : app.ticker.start();
+    if (gameState.paused) {
+      resumeGame();
+    } else {
+      pauseGame();
+    }
   }
 
-  function restartGame() {
-    buildScene();
-    gameState.playing = true;
+  // The ticker keeps running while paused so the overlay still renders;
+  // update() just stops feeding time to the sim.
+  function pauseGame() {
+    if (!gameState.playing || gameState.paused) return;
+    if (replay) {
+      if (!replay.isPaused()) replayControls.toggle();
+      return;
+    }
+    gameState.paused = true;
+    if (recorder) recorder.pause();
+    hudContainer.pauseBtn.texture = PIXI.Texture.from('uiPlay');
+    showPauseMenu();
   }
 
-  function startSpawning() {
-    gameState.lastSpawnTime = performance.now();
+  function resumeGame() {
+    if (!gameState.paused) return;
+    gameState.paused = false;
+    if (recorder) recorder.resume();
+    hudContainer.pauseBtn.texture = PIXI.Texture.from('uiPause');
+    hidePauseMenu();
   }
 
-  function spawnItem() {
-    if (!gameState.playing) return;
-    const spawn = SPAWN_POINTS[Math.floor(Math.random() * SPAWN_POINTS.length)];
-    const type = nextSpawnType();
-    const sprite = createSprite(type === 'magic' ? 'screwMagic' : 'screw', { anchor: { x: 0.5, y: 0.5 }, position: { x: spawn.x, y: spawn.y }, scale: type === 'magic' ? 0.54 : 0.5 });
-    sprite.vx = spawn.dir * (LAUNCH.dx + (Math.random() * 80 - 40));
-    sprite.vy = -(LAUNCH.dy + (Math.random() * 80 - 40));
-    sprite.type = type;
-    if (type === 'magic') {
-      sprite.tint = 0x6de7ff;
-      sprite.alpha = 0.92;
+  function showPauseMenu() {
+    hidePauseMenu();
+    pauseContainer = new PIXI.Container();
+    pauseContainer.zIndex = 150;
+    pauseContainer.eventMode = 'static';
+    pauseContainer.on('pointerdown', (e) => e.stopPropagation());
+
+    const dim = new PIXI.Graphics();
+    dim.beginFill(0x000000, 0.55);
+    dim.drawRect(0, 0, BASE_WIDTH, BASE_HEIGHT);
+    dim.endFill();
+
+    const title = new PIXI.Text(t('game.pause.title'), new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 44, fontWeight: '700', fill: '#FFFFFF' }));
+    title.anchor.set(0.5, 1);
+    title.position.set(BASE_WIDTH / 2, BASE_HEIGHT / 2 - 150);
+
+    const top = BASE_HEIGHT / 2 - 100;
+    const resume = createButton(t('game.pause.resume'), BASE_WIDTH / 2, top, resumeGame);
+    const restart = createButton(t('game.pause.restart'), BASE_WIDTH / 2, top + 72, restartGame);
+    const settings = createButton(t('game.pause.settings'), BASE_WIDTH / 2, top + 144, () => settingsPanel && settingsPanel.open());
+    const quit = createButton(t('game.pause.quit'), BASE_WIDTH / 2, top + 216, goToMenu);
+    pauseContainer.addChild(dim, title, resume, restart, settings, quit);
+    // Zen never ends by itself
+    const { mode } = views[0].sim.config;
+    if (!replay && !match && !mode.missesEnd && !mode.timeLimit) {
+      pauseContainer.addChild(createButton(t('game.pause.endRun'), BASE_WIDTH / 2, top + 288, finishRun));
     }
-    items.push(sprite);
-    gameContainer.addChild(sprite);
+
+    hudContainer.addChild(pauseContainer);
   }
 
-  function nextSpawnType() {
-    if (gameState.forceMagic && gameState.misses > 0) {
-      gameState.forceMagic = false;
-      gameState.magicCountdown = MAGIC_COUNTDOWN;
-      return 'magic';
-    }
-    if (gameState.misses > 0 && Math.random() < MAGIC_CHANCE) {
-      return 'magic';
+  function hidePauseMenu() {
+    if (!pauseContainer) return;
+    pauseContainer.destroy({ children: true });
+    pauseContainer = null;
+  }
+
+  // Hidden tabs and lost focus pause the run; the player resumes by hand.
+  function watchFocus() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) pauseGame();
+    });
+    window.addEventListener('blur', pauseGame);
+  }
+
+  function steer(dir, player = 0) {
+    if (!gameState.playing || gameState.paused || replay) return;
+    if (match) {
+      match.setAim(player, dir);
+      return;
     }
-    return 'screw';
+    if (player === 0) driver.steer(dir);
   }
 
-  function playSound(key, volume = 0.7) {
-    const url = sounds[key];
-    if (!url) return;
-    const audio = new Audio(url);
-    audio.volume = volume;
-    audio.play().catch(() => {});
+  // One-switch control: each press swings that player's cart the other way.
+  function flipAim(player = 0) {
+    if (!access.oneSwitch() || !views[player]) return;
+    steer(views[player].sim.state.aimTarget >= 0 ? -1 : 1, player);
   }
 
-  function handleCatch(item) {
-    if (item.type === 'magic') {
-      // recover one miss and reward a small bonus
-      gameState.score += 10;
-      gameState.misses = Math.max(0, gameState.misses - 1);
-      gameState.magicCountdown = MAGIC_COUNTDOWN;
-      playSound('collect', 0.9);
-      hudContainer.missLabel.text = `Missed: ${gameState.misses}/${MAX_MISSES}`;
+  // Mid-run restarts stay in the current recording; a run started after
+  // game over, in another mode or on another level gets a fresh one. Versus
+  // matches are neither recorded nor watched for achievements.
+  function restartGame() {
+    if (replay) return;
+    hideGameOver();
+    hidePauseMenu();
+    gameState.paused = false;
+    const { run, config, seed } = prepareRun(levelConfig, { maxPlayers: MAX_PLAYERS });
+    if (stopAchievements) stopAchievements();
+    stopAchievements = null;
+    if (stopAnnouncing) stopAnnouncing();
+    if (stopLogging) stopLogging();
+    if (playerCount(run) > 1) {
+      currentMode = run;
+      recorder = null;
+      sim = null;
+      driver = null;
+      match = createMatch({ config, seed, players: playerCount(run) });
+      match.on('matchOver', endMatch);
+      buildScene(match.sims);
+      const stops = match.sims.map((matchSim, i) => announcer.watch(matchSim, { name: playerName(i) }));
+      stopAnnouncing = () => stops.forEach((stop) => stop());
+      const logs = match.sims.map((matchSim, i) => diagnostics.watch(matchSim, { player: i, run }));
+      stopLogging = () => logs.forEach((stop) => stop());
     } else {
-      gameState.score += 10;
-      playSound('collect', 0.7);
-      if (gameState.misses > 0) {
-        gameState.magicCountdown = Math.max(0, gameState.magicCountdown - 1);
-        if (gameState.magicCountdown === 0) {
-          gameState.forceMagic = true;
-        }
-      }
-    }
-    hudContainer.scoreLabel.text = `Score: ${gameState.score}`;
-    if (gameState.score > gameState.best) {
-      gameState.best = gameState.score;
-      localStorage.setItem(BEST_KEY, String(gameState.best));
-      hudContainer.bestLabel.text = `Best: ${gameState.best}`;
+      if (!recorder || !sim || !sim.state.playing || !recorder.continues({ level, mode: run })) recorder = createRecorder({ level, mode: run });
+      currentMode = run;
+      match = null;
+      driver = createRunDriver({ config, seed }, { speed: access.speed, isPaused: () => gameState.paused, recorder });
+      buildScene([driver.sim]);
+      recorder.begin(sim);
+      stopAchievements = achievements.watch(sim);
+      stopAnnouncing = announcer.watch(sim);
+      stopLogging = diagnostics.watch(sim, { run });
     }
-    item.parent.removeChild(item);
+    gameState.playing = true;
+    app.ticker.start();
   }
 
-  function handleMiss(item) {
-    item.parent.removeChild(item);
-    gameState.misses += 1;
-    hudContainer.missLabel.text = `Missed: ${gameState.misses}/${MAX_MISSES}`;
-    playSound('miss', 0.65);
-    requestMagicGuarantee();
-    if (gameState.misses >= MAX_MISSES) {
-      endGame();
-    }
+  function watchReplay(log) {
+    stopReplay();
+    hideGameOver();
+    hidePauseMenu();
+    gameState.paused = false;
+    currentMode = log.mode || { id: 'classic' };
+    match = null;
+    driver = null;
+    const config = applyMode(log.level ? levelToConfig(log.level) : DEFAULT_CONFIG, currentMode);
+    replay = createReplayPlayer(log, { config, onSim: (next) => attachSim(views[0], next) });
+    buildScene([replay.sim()]);
+    replayControls = createReplayControls(replay, { onExit: exitReplay });
+    gameState.playing = true;
+    app.ticker.start();
   }
 
-  function endGame() {
-    gameState.playing = false;
-    items.forEach((i) => i.parent && i.parent.removeChild(i));
-    items = [];
+  function stopReplay() {
+    if (!replay) return;
+    replayControls.destroy();
+    replayControls = null;
+    replay = null;
   }
 
-  function update(delta) {
-    if (!gameState.playing) return;
-    const dt = delta / 60;
-    const now = performance.now();
-
-    const dir = aimTarget >= 0 ? 1 : -1;
-    aimBias += (dir - aimBias) * 0.2;
-    if (robotHead) {
-      const desiredTexture = dir >= 0 ? 'robotHeadRight' : 'robotHeadLeft';
-      const tex = PIXI.Texture.from(desiredTexture);
-      if (robotHead.texture !== tex) {
-        robotHead.texture = tex;
-      }
-      robotHead.rotation = aimBias * 0.05;
+  function exitReplay() {
+    stopReplay();
+    recorder = null;
+    restartGame();
+  }
+
+  function setupControls() {
+    const controls = {
+      onAim: (dir) => steer(dir, 0),
+      onAim2: (dir) => steer(dir, 1),
+      onSwitch: () => flipAim(0),
+      onPause: togglePause,
+      onRestart: () => app && restartGame(),
+      onDebug: diagnostics.toggleOverlay,
+      isBlocked: () => settingsPanel && settingsPanel.isOpen(),
+    };
+    createKeyboardInput(controls);
+    createGamepadInput(controls);
+    diagnostics.onChange(() => views.forEach(updateDebugOverlay));
+    onTouchChange(({ scheme }) => {
+      touchScheme = scheme;
+      views.forEach((view) => {
+        view.arrows.visible = scheme === 'buttons';
+      });
+    });
+    settingsPanel = createSettingsPanel({
+      onOpen: () => {
+        settingsPausedGame = gameState.playing && !gameState.paused && !replay;
+        if (settingsPausedGame) pauseGame();
+      },
+      onClose: () => {
+        if (settingsPausedGame) resumeGame();
+        settingsPausedGame = false;
+      },
+    });
+
+    const replayFile = document.getElementById('replay-file');
+    const replayError = document.getElementById('replay-error');
+    const saveReplay = document.getElementById('replay-save');
+    if (saveReplay) {
+      saveReplay.addEventListener('click', () => recorder && downloadLog(recorder.toJSON()));
     }
-    if (robotContainer) {
-      robotContainer.rotation = aimBias * 0.05;
-      robotContainer.x = ROBOT_X - stand.x;
+    if (replayFile) {
+      replayFile.addEventListener('change', () => {
+        const file = replayFile.files && replayFile.files[0];
+        if (!file) return;
+        replayFile.value = '';
+        readLogFile(file)
+          .then((log) => {
+            if (replayError) replayError.textContent = '';
+            settingsPausedGame = false;
+            settingsPanel.close();
+            watchReplay(log);
+          })
+          .catch((err) => {
+            if (replayError) replayError.textContent = err.message;
+          });
+      });
     }
+  }
 
-    stand.y = standBaseY + STAND_ROCK_SHIFT * Math.sin(standWavePhase);
-    stand.rotation = STAND_ROCK_ANGLE * Math.sin(standWavePhase);
+  function finishRun() {
+    hidePauseMenu();
+    gameState.paused = false;
+    recorder.finish();
+    sim.finish();
+  }
 
-    waterPhase += dt * 0.4;
-    const bias = aimBias;
-    if (waterBack) {
-      waterBack.x = BASE_WIDTH / 2 + bias * 10 + Math.sin(waterPhase) * 6;
+  // Leaves the game shell and returns to the support page; Play restarts.
+  function goToMenu() {
+    hideGameOver();
+    hidePauseMenu();
+    stopReplay();
+    effects.clear();
+    gameState.playing = false;
+    gameState.paused = false;
+    app.ticker.stop();
+    document.body.classList.remove('is-playing');
+  }
+
+  // Catches in quick succession climb in pitch (see game.audio.js).
+  function playSound(key, volume = 0.7, rapid = false) {
+    audio.play(key, { volume, rapid });
+  }
+
+  // Replays play back without shaking the phone.
+  function buzz(kind) {
+    if (!replay) haptics.pulse(kind);
+  }
+
+  function handleCatch(view, { item, points }) {
+    const magic = item.type === 'magic';
+    const p = viewPoint(view, item.x, item.y);
+    playSound('collect', magic ? 0.9 : 0.7, true);
+    buzz('catch');
+    view.robot.brain.react('catch', { magic });
+    effects.sparks(p.x, p.y);
+    if (magic) effects.swirl(p.x, p.y);
+    effects.popup(`+${points}`, magic ? '#8DE9FF' : '#9CFFC2', p.x, p.y);
+    updateHud(view);
+  }
+
+  function handleMiss(view) {
+    playSound('miss', 0.65);
+    buzz('miss');
+    view.robot.brain.react('miss');
+    updateHud(view);
+  }
+
+  function handleFishHit(view) {
+    const p = viewPoint(view, BASE_WIDTH / 2, BASE_HEIGHT / 2);
+    playSound('fish', 0.7);
+    buzz('hit');
+    view.robot.brain.react('fishHit');
+    effects.hit();
+    effects.popup(t('game.popups.fish', { penalty: view.sim.config.fishPenalty }), '#FFBA5C', p.x, p.y);
+    updateHud(view);
+  }
+
+  function handleBombHit(view, { item, penalty }) {
+    const p = viewPoint(view, item.x, item.y);
+    playSound('fish', 0.8);
+    buzz('hit');
+    view.robot.brain.react('fishHit');
+    effects.hit();
+    effects.popup(t('game.popups.bomb', { penalty }), '#FF6B5C', p.x, p.y);
+    updateHud(view);
+  }
+
+  // The shield took the fish instead of a life.
+  function handleFishBlocked(view, { fish }) {
+    const p = viewPoint(view, fish.x, fish.y);
+    playSound('collect', 0.5);
+    view.robot.brain.react('fishSplash');
+    effects.splash(p.x, p.y, 0.8);
+    effects.popup(t('game.popups.blocked'), '#8DE9FF', p.x, p.y);
+    updateHud(view);
+  }
+
+  // disposeFish() in the sim sends the fish back without touching the cart.
+  function handleFishSplash(view, { fish }) {
+    const p = viewPoint(view, fish.x, WATER_LINE);
+    playSound('miss', 0.35);
+    effects.splash(p.x, p.y, 1.4);
+    view.robot.brain.react('fishSplash');
+  }
+
+  // Best score and best streak only move for a live single-player run.
+  function updateHud(view) {
+    const { score, streak, multiplier } = view.sim.state;
+    const { labels } = view;
+    const counts = !replay && !match;
+    labels.score.text = scoreText(view);
+    labels.miss.text = statusLine(view.sim);
+    if (counts && score > view.best) {
+      view.best = score;
+      labels.best.text = t('game.best', { best: view.best });
     }
-    if (waterFront) {
-      waterFront.x = BASE_WIDTH / 2 + bias * 16 + Math.sin(waterPhase * 1.2) * 10;
+    if (counts && streak > gameState.bestStreak) {
+      gameState.bestStreak = streak;
+      localStorage.setItem(BEST_STREAK_KEY, String(gameState.bestStreak));
     }
+    labels.streak.text = streakText(view);
+    const { badge } = labels;
+    if (multiplier > 1 && badge.label.text !== `x${multiplier}`) badge.pulse = 1;
+    badge.label.text = `x${multiplier}`;
+    badge.visible = multiplier > 1;
+  }
 
-    const g = GRAVITY * dt;
-    items.forEach((item) => {
-      item.vy += g * dt;
-      item.x += item.vx * dt;
-      item.y += item.vy * dt;
-
-      let withinCart = false;
-      if (cartHole) {
-        const cartBounds = cartHole.getBounds();
-        const cartCenterX = cartBounds.x + cartBounds.width / 2;
-        const cartCenterY = cartBounds.y + cartBounds.height / 2;
-        const holeW = cartBounds.width * ROBOT_SCALE;
-        const holeH = cartBounds.height * ROBOT_SCALE;
-        withinCart = Math.abs(item.x - cartCenterX) < holeW / 2 && Math.abs(item.y - cartCenterY) < holeH / 2;
-      }
+  function scoreText(view) {
+    const { score } = view.sim.state;
+    return view.name ? t('versus.playerScore', { name: view.name, score }) : t('game.score', { score });
+  }
 
-      if (withinCart && item.vy > 0) {
-        handleCatch(item);
-      } else if (item.y > BASE_HEIGHT + 120) {
-        handleMiss(item);
-      }
-    });
-    items = items.filter((i) => i.parent);
+  function streakText(view) {
+    const { state } = view.sim;
+    const streak = view.name
+      ? t('game.streak', { streak: state.streak })
+      : t('game.streakBest', { streak: state.streak, best: gameState.bestStreak });
+    return state.streakShields > 0 ? t('game.shield', { streak }) : streak;
+  }
 
-    // fish unlock once score reached
-    if (!gameState.fishUnlocked && gameState.score >= FISH_UNLOCK_SCORE) {
-      gameState.fishUnlocked = true;
-      nextFishAt = now + randRange(FISH_INTERVAL_MIN * 0.5, FISH_INTERVAL_MIN + FISH_INTERVAL_RANGE);
-    }
-    maybeSpawnFish(now);
+  // Score multiplier chip next to the score; hidden while scoring is x1.
+  function createMultiplierBadge(view) {
+    const badge = new PIXI.Container();
+    const chip = new PIXI.Graphics();
+    chip.beginFill(0xf2b33d);
+    chip.drawRoundedRect(-30, -18, 60, 36, 18);
+    chip.endFill();
+    const label = new PIXI.Text(`x${view.sim.state.multiplier}`, new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 22, fontWeight: '700', fill: '#1B2A10' }));
+    label.anchor.set(0.5);
+    badge.addChild(chip, label);
+    badge.label = label;
+    badge.pulse = 0;
+    badge.visible = view.sim.state.multiplier > 1;
+    return badge;
+  }
 
-    if (now - gameState.lastSpawnTime > gameState.spawnInterval) {
-      spawnItem();
-      gameState.lastSpawnTime = now;
-      intellect.trigger(gameState);
+  function endGame() {
+    if (replay) return;
+    const [view] = views;
+    gameState.playing = false;
+    syncSprites(view);
+    effects.clear();
+    const board = boardFor(currentMode, sim.config);
+    const run = { ...sim.summary(), level: sim.config.levelName, mode: currentMode.id, board: boardLabel(board), date: new Date().toISOString() };
+    const recent = saveRecentRun(run);
+    const rank = leaderboard.rankFor(run.score, board.mode, board.level);
+    if (!rank) {
+      showGameOver(run, recent, 0);
+      return;
     }
+    // skipping still keeps the score, just without initials
+    const ended = sim;
+    askInitials({ rank, score: run.score, initials: leaderboard.lastInitials() }).then((initials) => {
+      const placed = leaderboard.add(board.mode, board.level, { ...run, initials });
+      if (sim === ended && !gameState.playing) showGameOver(run, recent, placed);
+    });
+  }
 
-    updateFish(dt);
+  // One side of a versus match is done; the other plays on.
+  function handlePlayerOut(view) {
+    syncSprites(view);
+    const width = BASE_WIDTH * view.scale;
+    const height = BASE_HEIGHT * view.scale;
+    const dim = new PIXI.Graphics();
+    dim.beginFill(0x000000, 0.5);
+    dim.drawRect(0, view.y, width, height);
+    dim.endFill();
+    const { mode } = view.sim.config;
+    const { time, score } = view.sim.state;
+    const reason = mode.timeLimit && time >= mode.timeLimit ? t('versus.timesUp') : t('versus.outOfMisses');
+    const text = new PIXI.Text(`${reason}\n${t('versus.points', { count: score })}`, new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 30, fontWeight: '700', fill: '#FFFFFF', align: 'center' }));
+    text.anchor.set(0.5);
+    text.position.set(width / 2, view.y + height / 2);
+    view.hud.addChild(dim, text);
   }
 
-  async function startCatchbot(onReady, onError) {
+  function endMatch(result) {
+    gameState.playing = false;
+    effects.clear();
+    showVersusResult(result);
+  }
+
+  function loadRecentRuns() {
     try {
-      statusEl = document.getElementById('game-status');
-      if (!window.PIXI) await loadPixi();
-      await loadAssets();
-      await initApp();
-      buildScene();
-      startSpawning();
-      gameState.playing = true;
-      if (statusEl) statusEl.style.display = 'none';
-      if (onReady) onReady();
+      const runs = JSON.parse(localStorage.getItem(RECENT_RUNS_KEY) || '[]');
+      return Array.isArray(runs) ? runs : [];
     } catch (err) {
-      console.error(err);
-      if (statusEl) {
-        statusEl.style.display = 'block';
-        statusEl.textContent = err?.message || 'Failed to start game';
-      }
-      if (onError) onError(err?.message);
+      return [];
     }
   }
 
-  window.startCatchbot = startCatchbot;
+  function saveRecentRun(run) {
+    const runs = [run, ...loadRecentRuns()].slice(0, MAX_RECENT_RUNS);
+    localStorage.setItem(RECENT_RUNS_KEY, JSON.stringify(runs));
+    return runs;
+  }
+
+  function formatDuration(ms) {
+    const total = Math.round(ms / 1000);
+    const minutes = Math.floor(total / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  }
+
+  function createButton(label, x, y, onPress) {
+    const button = new PIXI.Container();
+    const bg = new PIXI.Graphics();
+    bg.beginFill(0x1f6e2b, 0.95);
+    bg.drawRoundedRect(-110, -28, 220, 56, 28);
+    bg.endFill();
+    const text = new PIXI.Text(label, new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 24, fontWeight: '700', fill: '#F4FFF4' }));
+    text.anchor.set(0.5);
+    button.addChild(bg, text);
+    button.position.set(x, y);
+    button.eventMode = 'static';
+    button.cursor = 'pointer';
+    button.on('pointerdown', (e) => {
+      e.stopPropagation();
+      onPress();
+    });
+    return button;
+  }
+
+  // Dimmed backdrop, panel and title shared by the game over and versus screens.
+  function createResultPanel(titleText, panelW, panelH) {
+    hideGameOver();
+    gameOverContainer = new PIXI.Container();
+    gameOverContainer.zIndex = 200;
+    gameOverContainer.eventMode = 'static';
+
+    const dim = new PIXI.Graphics();
+    dim.beginFill(0x000000, 0.65);
+    dim.drawRect(0, 0, BASE_WIDTH, BASE_HEIGHT);
+    dim.endFill();
+
+    const panel = new PIXI.Graphics();
+    panel.beginFill(0x0b1c0a, 0.92);
+    panel.lineStyle(2, 0x4ee070, 0.8);
+    panel.drawRoundedRect(-panelW / 2, -panelH / 2, panelW, panelH, 24);
+    panel.endFill();
+    panel.position.set(BASE_WIDTH / 2, BASE_HEIGHT / 2);
+
+    const title = new PIXI.Text(titleText, new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 44, fontWeight: '700', fill: '#FFFFFF' }));
+    title.anchor.set(0.5, 0);
+    title.position.set(BASE_WIDTH / 2, BASE_HEIGHT / 2 - panelH / 2 + 24);
+
+    gameOverContainer.addChild(dim, panel, title);
+    hudContainer.addChild(gameOverContainer);
+    return title.y + 72;
+  }
+
+  function showGameOver(run, recent, rank) {
+    const panelH = 620;
+    const rowTop = createResultPanel(sim.config.mode.timeLimit ? t('game.over.timesUp') : t('game.over.gameOver'), 560, panelH);
+
+    const rowStyle = new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 22, fill: '#E8FCE9' });
+    const rows = [
+      [t('game.stats.score'), run.score],
+      [t('game.stats.best'), views[0].best],
+      [t('game.stats.catches'), run.catches],
+      [t('game.stats.misses'), run.misses],
+      [t('game.stats.fishHits'), run.fishHits],
+      [t('game.stats.bombHits'), run.bombHits],
+      [t('game.stats.magic'), run.magicCollected],
+      [t('game.stats.longestStreak'), run.longestStreak],
+      [t('game.stats.bestMultiplier'), `x${run.bestMultiplier}`],
+      [t('game.stats.runTime'), formatDuration(run.duration)],
+    ];
+    const labels = rows.map(([label, value], i) => {
+      const name = new PIXI.Text(label, rowStyle);
+      name.position.set(BASE_WIDTH / 2 - 200, rowTop + i * 32);
+      const amount = new PIXI.Text(String(value), rowStyle);
+      amount.anchor.set(1, 0);
+      amount.position.set(BASE_WIDTH / 2 + 200, rowTop + i * 32);
+      return [name, amount];
+    }).flat();
+
+    const previous = recent.slice(1, 4).map((r) => r.score).join(' · ');
+    const placed = rank ? `${t('game.over.rank', { rank, board: run.board })} · ` : '';
+    const recentText = new PIXI.Text(`${placed}${previous ? t('game.over.recent', { scores: previous }) : t('game.over.firstRun')}`, new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 16, fill: '#8DE9FF' }));
+    recentText.anchor.set(0.5, 0);
+    recentText.position.set(BASE_WIDTH / 2, rowTop + rows.length * 32 + 8);
+
+    const buttonsY = BASE_HEIGHT / 2 + panelH / 2 - 56;
+    const runLog = recorder.toJSON();
+    const watch = createButton(t('game.over.watchReplay'), BASE_WIDTH / 2 - 124, buttonsY - 68, () => watchReplay(runLog));
+    const save = createButton(t('game.over.saveReplay'), BASE_WIDTH / 2 + 124, buttonsY - 68, () => downloadLog(runLog));
+    const again = createButton(t('game.over.again'), BASE_WIDTH / 2 - 124, buttonsY, restartGame);
+    const menu = createButton(t('game.over.menu'), BASE_WIDTH / 2 + 124, buttonsY, goToMenu);
+
+    gameOverContainer.addChild(...labels, recentText, watch, save, again, menu);
+  }
+
+  // Winner screen: both players' numbers side by side.
+  function showVersusResult({ winner, players }) {
+    const panelH = 460;
+    const rowTop = createResultPanel(winner >= 0 ? t('versus.wins', { name: playerName(winner) }) : t('versus.draw'), 620, panelH);
 
-  function requestMagicGuarantee() {
-    if (gameState.misses > 0) {
-      gameState.magicCountdown = MAGIC_COUNTDOWN;
-      gameState.forceMagic = false;
+    const rowStyle = new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 22, fill: '#E8FCE9' });
+    const headStyle = new PIXI.TextStyle({ fontFamily: 'Roboto, Arial', fontSize: 22, fontWeight: '700', fill: '#8DE9FF' });
+    const rows = [
+      ['', ...players.map((p, i) => playerName(i))],
+      [t('game.stats.score'), ...players.map((p) => p.score)],
+      [t('game.stats.catches'), ...players.map((p) => p.catches)],
+      [t('game.stats.misses'), ...players.map((p) => p.misses)],
+      [t('game.stats.fishHits'), ...players.map((p) => p.fishHits)],
+      [t('game.stats.longestStreak'), ...players.map((p) => p.longestStreak)],
+      [t('game.stats.runTime'), ...players.map((p) => formatDuration(p.duration))],
+    ];
+    const columns = [BASE_WIDTH / 2 - 250, BASE_WIDTH / 2 + 90, BASE_WIDTH / 2 + 250];
+    const labels = rows.map((row, i) => row.map((value, column) => {
+      const text = new PIXI.Text(String(value), i === 0 ? headStyle : rowStyle);
+      if (column > 0) text.anchor.set(1, 0);
+      text.position.set(columns[column], rowTop + i * 32);
+      return text;
+    })).flat();
+
+    const buttonsY = BASE_HEIGHT / 2 + panelH / 2 - 56;
+    const again = createButton(t('versus.rematch'), BASE_WIDTH / 2 - 124, buttonsY, restartGame);
+    const menu = createButton(t('game.over.menu'), BASE_WIDTH / 2 + 124, buttonsY, goToMenu);
+    gameOverContainer.addChild(...labels, again, menu);
+  }
+
+  function hideGameOver() {
+    if (!gameOverContainer) return;
+    gameOverContainer.destroy({ children: true });
+    gameOverContainer = null;
+  }
+
+  function update(ticker) {
+    fpsMeter.frame();
+    if (!gameState.playing || gameState.paused) return;
+    const dt = ticker.deltaMS / 1000;
+    // slow speed stretches live play only; replays keep their own speed control
+    if (replay) {
+      replay.advance(dt);
+      replayControls.update();
+    } else if (match) {
+      match.advance(dt * access.speed());
     } else {
-      gameState.magicCountdown = 0;
+      driver.frame(dt);
     }
-  }
+    if (!gameState.playing) return;
 
-  function maybeSpawnFish(now) {
-    if (!gameState.fishUnlocked) return;
-    if (activeFish) return;
-    if (now < nextFishAt) return;
-    spawnFish(now);
+    effects.update(dt);
+    views.forEach((view) => updateView(view, dt));
   }
 
-  function spawnFish(now) {
-    const side = Math.random() < 0.5 ? -1 : 1;
-    const start = { x: side === -1 ? 82 : BASE_WIDTH - 82, y: BASE_HEIGHT - 90 };
-    const clampLeft = BASE_WIDTH * 0.22;
-    const clampRight = BASE_WIDTH * 0.78;
-    let cartCenterX = ROBOT_X;
-    if (cartHole) {
-      const bounds = cartHole.getBounds();
-      cartCenterX = bounds.x + bounds.width / 2;
+  function updateView(view, dt) {
+    const { sim: viewSim, robot, labels } = view;
+    const aimBias = viewSim.state.aimBias;
+    if (viewSim.config.mode.timeLimit) labels.miss.text = statusLine(viewSim);
+    updateRobot(view, dt);
+    const { badge } = labels;
+    if (badge.pulse > 0) {
+      badge.pulse = Math.max(0, badge.pulse - dt * 4);
+      badge.scale.set(1 + badge.pulse * 0.4);
     }
-    const targetX = clamp(side === -1 ? Math.min(cartCenterX, BASE_WIDTH * 0.49) : Math.max(cartCenterX, BASE_WIDTH * 0.51), clampLeft, clampRight);
-    const targetY = stand.y - stand.height * stand.scale.y * 0.38;
-    const target = { x: targetX, y: targetY };
-    const splash = { x: start.x + (side === -1 ? 96 : -96), y: BASE_HEIGHT - 24 };
-    const controlUp = { x: start.x + (targetX - start.x) * 0.6, y: targetY + 220 };
-    const controlDown = { x: targetX, y: targetY - 140 };
-
-    const fish = createSprite('fish', { anchor: { x: 0.5, y: 0.5 }, position: start, scale: 0.55 });
-    fish.zIndex = 8;
-    gameContainer.addChild(fish);
-
-    activeFish = {
-      sprite: fish,
-      phase: 'up',
-      t: 0,
-      start,
-      target,
-      splash,
-      controlUp,
-      controlDown,
-      durationUp: FISH_UP_DURATION,
-      durationDown: FISH_DOWN_DURATION,
-    };
-    fishWindowClosed = false;
-    nextFishAt = now + randRange(FISH_INTERVAL_MIN, FISH_INTERVAL_MIN + FISH_INTERVAL_RANGE);
-  }
-
-  function quadPoint(p0, p1, p2, t) {
-    const inv = 1 - t;
-    const x = inv * inv * p0.x + 2 * inv * t * p1.x + t * t * p2.x;
-    const y = inv * inv * p0.y + 2 * inv * t * p1.y + t * t * p2.y;
-    return { x, y };
-  }
-
-  function updateFish(dt) {
-    if (!activeFish) return;
-    const f = activeFish;
-    const duration = f.phase === 'up' ? f.durationUp : f.durationDown;
-    f.t += dt / duration;
-    let pos;
-    if (f.phase === 'up') {
-      pos = quadPoint(f.start, f.controlUp, f.target, Math.min(1, f.t));
-      f.sprite.position.copyFrom(pos);
-      checkFishCatchWindow(pos);
-      if (f.t >= 1) {
-        f.phase = 'down';
-        f.t = 0;
+    const pose = viewSim.robotPose();
+    robot.container.position.set(pose.x, pose.y);
+    robot.container.scale.set(pose.scaleX, pose.scaleY);
+    robot.container.rotation = pose.rotation;
+
+    view.stand.y = view.standBaseY + STAND_ROCK_SHIFT * Math.sin(view.standWavePhase);
+    view.stand.rotation = STAND_ROCK_ANGLE * Math.sin(view.standWavePhase);
+
+    view.waterPhase += dt * 0.4;
+    const bias = aimBias;
+    view.waterBack.x = BASE_WIDTH / 2 + bias * 10 + Math.sin(view.waterPhase) * 6;
+    view.waterFront.x = BASE_WIDTH / 2 + bias * 16 + Math.sin(view.waterPhase * 1.2) * 10;
+
+    syncSprites(view);
+    updateDebugOverlay(view);
+  }
+
+  // Mirrors the view's sim.items and sim.fish into sprites, creating and dropping as needed.
+  function syncSprites(view) {
+    const { sim: viewSim, scene, itemSprites } = view;
+    const live = new Set();
+    viewSim.items.forEach((item) => {
+      live.add(item.id);
+      let sprite = itemSprites.get(item.id);
+      if (!sprite) {
+        sprite = createItemSprite(viewSim, item);
+        itemSprites.set(item.id, sprite);
+        scene.addChild(sprite);
       }
-    } else {
-      pos = quadPoint(f.target, f.controlDown, f.splash, Math.min(1, f.t));
-      f.sprite.position.copyFrom(pos);
-      if (f.t >= 1 || pos.y > BASE_HEIGHT + 20) {
-        playSound('miss', 0.4);
-        disposeFish(false);
+      // screws that fall past the cart splash into the water
+      if (sprite.y < WATER_LINE && item.y >= WATER_LINE) {
+        const p = viewPoint(view, item.x, WATER_LINE);
+        effects.splash(p.x, p.y);
       }
+      sprite.position.set(item.x, item.y);
+    });
+    itemSprites.forEach((sprite, id) => {
+      if (live.has(id)) return;
+      sprite.parent && sprite.parent.removeChild(sprite);
+      itemSprites.delete(id);
+    });
+
+    if (viewSim.fish) {
+      if (!view.fishSprite) {
+        view.fishSprite = createSprite('fish', { anchor: { x: 0.5, y: 0.5 }, scale: 0.55 });
+        view.fishSprite.zIndex = 8;
+        scene.addChild(view.fishSprite);
+      }
+      view.fishSprite.position.set(viewSim.fish.x, viewSim.fish.y);
+    } else if (view.fishSprite) {
+      view.fishSprite.parent && view.fishSprite.parent.removeChild(view.fishSprite);
+      view.fishSprite = null;
     }
   }
 
-  function checkFishCatchWindow(pos) {
-    if (!activeFish) return;
-    if (!cartHole) return;
-    const cartBounds = cartHole.getBounds();
-    const cartCenter = { x: cartBounds.x + cartBounds.width / 2, y: cartBounds.y + cartBounds.height / 2 };
-    const cartTop = cartCenter.y - cartBounds.height * 0.5;
-    if (pos.y < cartTop - 36) {
-      fishWindowClosed = true;
-      return;
-    }
-    if (fishWindowClosed) return;
-    if (pos.y <= cartTop + 10) {
-      const dx = pos.x - cartCenter.x;
-      const dy = pos.y - cartCenter.y;
-      const dist = Math.hypot(dx, dy);
-      const holeW = cartBounds.width;
-      const withinCart = Math.abs(dx) < holeW / 2;
-      if (dist <= FISH_HIT_RADIUS && withinCart) {
-        disposeFish(true);
-      }
+  // Sprite key, scale and tint come from the item registry in game.sim.js;
+  // the high-contrast palette may swap the tint and add an outline ring.
+  function createItemSprite(itemSim, item) {
+    const type = itemSim.itemTypes[item.type];
+    const look = access.itemLook(item.type, type);
+    const sprite = createSprite(type.sprite, { anchor: { x: 0.5, y: 0.5 }, scale: type.scale });
+    if (look.tint !== undefined) sprite.tint = look.tint;
+    if (type.alpha !== undefined) sprite.alpha = type.alpha;
+    if (look.ring !== null) {
+      const ring = new PIXI.Graphics();
+      ring.lineStyle(10, look.ring, 1);
+      ring.drawCircle(0, 0, Math.max(sprite.texture.width, sprite.texture.height) / 2 + 8);
+      sprite.addChild(ring);
     }
+    return sprite;
   }
 
-  function disposeFish(hitCart) {
-    if (!activeFish) return;
-    const fish = activeFish.sprite;
-    if (hitCart) {
-      gameState.score = Math.max(0, gameState.score - 500);
-      hudContainer.scoreLabel.text = `Score: ${gameState.score}`;
-      gameState.misses += 1;
-      hudContainer.missLabel.text = `Missed: ${gameState.misses}/${MAX_MISSES}`;
-      requestMagicGuarantee();
-      intellect.applyFishRelaxation(gameState);
-      playSound('fish', 0.7);
-      if (gameState.misses >= MAX_MISSES) {
-        endGame();
+  async function startCatchbot(onReady, onError) {
+    try {
+      statusEl = document.getElementById('game-status');
+      ({ level, config: levelConfig } = await loadSelectedLevel());
+      if (app) {
+        // already initialised: coming back from the menu
+        restartGame();
+        if (statusEl) statusEl.style.display = 'none';
+        if (onReady) onReady();
+        return;
       }
-    } else {
-      playSound('miss', 0.35);
+      if (!window.PIXI) await loadPixi();
+      await loadAssets();
+      await initApp();
+      setupControls();
+      watchFocus();
+      restartGame();
+      if (statusEl) statusEl.style.display = 'none';
+      if (onReady) onReady();
+    } catch (err) {
+      console.error(err);
+      if (statusEl) {
+        statusEl.style.display = 'block';
+        statusEl.textContent = err?.message || t('page.startFailed');
+      }
+      if (onError) onError(err?.message);
     }
-    fish.parent && fish.parent.removeChild(fish);
-    activeFish = null;
-    fishWindowClosed = false;
   }
+
+  window.CatchbotBoot.register('pixi', startCatchbot);
 })();
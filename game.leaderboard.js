@@ -0,0 +1,337 @@
+// Local high-score tables: the top runs for each game mode and difficulty,
+// with the player's initials, date, run time and catches. Both renderers
+// play the same game.sim.js rules, so they share one set of tables. Nothing
+// leaves the device: export writes a JSON file the player downloads, and
+// import merges such a file back in, e.g. to combine kiosk machines.
+
+(function (root, factory) {
+  const api = factory(root.CatchbotI18n || (typeof require === 'function' ? require('./game.i18n.js') : null));
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotLeaderboard = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (CatchbotI18n) => {
+  const { t } = CatchbotI18n;
+  const LEADERBOARD_KEY = 'catchbot-leaderboard';
+  const MAX_ENTRIES = 20;
+  const DEFAULT_MODE = 'classic';
+  const EXPORT_FORMAT = 'catchbot-leaderboard';
+  const EXPORT_VERSION = 1;
+  const INITIALS_LENGTH = 3;
+  const UNKNOWN_INITIALS = '???';
+
+  function boardKey(mode, level) {
+    return `${mode}/${level}`;
+  }
+
+  function sanitizeInitials(text) {
+    const clean = String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, INITIALS_LENGTH);
+    return clean || UNKNOWN_INITIALS;
+  }
+
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+  // Returns a clean copy of `raw`, or null if it is not a usable entry.
+  function normalizeEntry(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (!isCount(raw.score) || !isCount(raw.catches) || !isCount(raw.duration)) return null;
+    if (typeof raw.date !== 'string' || Number.isNaN(Date.parse(raw.date))) return null;
+    return {
+      initials: raw.initials === UNKNOWN_INITIALS ? UNKNOWN_INITIALS : sanitizeInitials(raw.initials),
+      score: raw.score,
+      catches: raw.catches,
+      duration: raw.duration,
+      date: raw.date,
+    };
+  }
+
+  // Higher score first; ties go to the shorter run, then the earlier one.
+  function compareEntries(a, b) {
+    return b.score - a.score || a.duration - b.duration || a.date.localeCompare(b.date);
+  }
+
+  const sameEntry = (a, b) => a.date === b.date && a.initials === b.initials && a.score === b.score;
+
+  function loadTables(storage = globalThis.localStorage) {
+    try {
+      const stored = JSON.parse(storage.getItem(LEADERBOARD_KEY) || 'null');
+      if (stored && typeof stored === 'object' && stored.boards && typeof stored.boards === 'object') {
+        const boards = {};
+        Object.keys(stored.boards).forEach((key) => {
+          const list = Array.isArray(stored.boards[key]) ? stored.boards[key].map(normalizeEntry).filter(Boolean) : [];
+          if (list.length) boards[key] = list.sort(compareEntries).slice(0, MAX_ENTRIES);
+        });
+        return { boards, initials: typeof stored.initials === 'string' ? sanitizeInitials(stored.initials) : '' };
+      }
+    } catch (err) {
+      // start with empty tables
+    }
+    return { boards: {}, initials: '' };
+  }
+
+  function saveTables(tables, storage = globalThis.localStorage) {
+    storage.setItem(LEADERBOARD_KEY, JSON.stringify(tables));
+  }
+
+  function createLeaderboard({ storage = globalThis.localStorage } = {}) {
+    const tables = loadTables(storage);
+
+    function entries(mode, level) {
+      return (tables.boards[boardKey(mode, level)] || []).map((entry) => ({ ...entry }));
+    }
+
+    function best(mode, level) {
+      const list = tables.boards[boardKey(mode, level)];
+      return list && list.length ? list[0].score : 0;
+    }
+
+    // Rank (1-based) `score` would take on the board, or 0 if it misses the cut.
+    function rankFor(score, mode, level) {
+      if (score <= 0) return 0;
+      const list = tables.boards[boardKey(mode, level)] || [];
+      const rank = list.filter((entry) => entry.score >= score).length + 1;
+      return rank <= MAX_ENTRIES ? rank : 0;
+    }
+
+    // Adds a run ({ initials, score, catches, duration, date }) and returns its rank, 0 if cut.
+    function add(mode, level, run) {
+      const entry = normalizeEntry({ ...run, initials: sanitizeInitials(run.initials), duration: Math.round(run.duration) });
+      if (!entry || entry.score <= 0) return 0;
+      const key = boardKey(mode, level);
+      const list = [...(tables.boards[key] || []), entry].sort(compareEntries).slice(0, MAX_ENTRIES);
+      tables.boards[key] = list;
+      if (run.initials) tables.initials = entry.initials;
+      saveTables(tables, storage);
+      return list.indexOf(entry) + 1;
+    }
+
+    // Every non-empty board as { mode, level, entries }, sorted by name.
+    function boards() {
+      return Object.keys(tables.boards).sort().map((key) => {
+        const [mode, ...rest] = key.split('/');
+        return { mode, level: rest.join('/'), entries: entries(mode, rest.join('/')) };
+      });
+    }
+
+    function toJSON() {
+      const copy = {};
+      Object.keys(tables.boards).forEach((key) => {
+        copy[key] = tables.boards[key].map((entry) => ({ ...entry }));
+      });
+      return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exported: new Date().toISOString(), boards: copy };
+    }
+
+    // Merges an exported file into the local tables; duplicates are skipped.
+    // Returns how many entries were new. Throws with a readable message.
+    function merge(data) {
+      if (!data || data.format !== EXPORT_FORMAT || !data.boards || typeof data.boards !== 'object') {
+        throw new Error(t('leaderboard.error.format'));
+      }
+      if (data.version > EXPORT_VERSION) throw new Error(t('leaderboard.error.version', { version: data.version }));
+      let added = 0;
+      Object.keys(data.boards).forEach((key) => {
+        if (!/^[^/]+\/.+$/.test(key) || !Array.isArray(data.boards[key])) return;
+        const list = [...(tables.boards[key] || [])];
+        data.boards[key].map(normalizeEntry).filter(Boolean).forEach((entry) => {
+          if (list.some((existing) => sameEntry(existing, entry))) return;
+          list.push(entry);
+          added += 1;
+        });
+        tables.boards[key] = list.sort(compareEntries).slice(0, MAX_ENTRIES);
+      });
+      saveTables(tables, storage);
+      return added;
+    }
+
+    return {
+      entries,
+      best,
+      rankFor,
+      add,
+      boards,
+      toJSON,
+      merge,
+      lastInitials: () => tables.initials,
+    };
+  }
+
+  function downloadTables(board, doc = globalThis.document) {
+    const blob = new Blob([JSON.stringify(board.toJSON(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = doc.createElement('a');
+    link.href = url;
+    link.download = `catchbot-leaderboard-${new Date().toISOString().slice(0, 10)}.json`;
+    doc.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function readTablesFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          resolve(JSON.parse(reader.result));
+        } catch (err) {
+          reject(new Error(t('leaderboard.error.empty')));
+        }
+      };
+      reader.onerror = () => reject(new Error(t('leaderboard.error.read')));
+      reader.readAsText(file);
+    });
+  }
+
+  function formatDuration(ms) {
+    const total = Math.round(ms / 1000);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  const titleCase = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+  const defaultLabel = ({ mode, level }) => `${titleCase(mode)} · ${level}`;
+
+  // Wires the #leaderboard-panel markup in index.html: a board picker, the
+  // table, export and import. #leaderboard-button on the start page opens it.
+  // `label({ mode, level })` names a board in the picker.
+  function createLeaderboardPanel(board, { doc = globalThis.document, label = defaultLabel } = {}) {
+    const panel = doc.getElementById('leaderboard-panel');
+    const select = doc.getElementById('leaderboard-board');
+    const body = doc.getElementById('leaderboard-rows');
+    const empty = doc.getElementById('leaderboard-empty');
+    const status = doc.getElementById('leaderboard-status');
+    const fileInput = doc.getElementById('leaderboard-file');
+    if (!panel || !select || !body) return null;
+
+    function setStatus(text, error = false) {
+      if (!status) return;
+      status.textContent = text;
+      status.classList.toggle('is-info', !error);
+    }
+
+    function renderOptions(current) {
+      const list = board.boards();
+      select.innerHTML = '';
+      list.forEach(({ mode, level }) => {
+        const option = doc.createElement('option');
+        option.value = boardKey(mode, level);
+        option.textContent = label({ mode, level });
+        select.appendChild(option);
+      });
+      select.disabled = !list.length;
+      if (list.length) {
+        const keys = list.map(({ mode, level }) => boardKey(mode, level));
+        select.value = keys.includes(current) ? current : keys[0];
+      }
+    }
+
+    function renderRows() {
+      const [mode, ...rest] = (select.value || '').split('/');
+      const list = select.value ? board.entries(mode, rest.join('/')) : [];
+      body.innerHTML = '';
+      list.forEach((entry, i) => {
+        const row = doc.createElement('tr');
+        [i + 1, entry.initials, entry.score, entry.catches, formatDuration(entry.duration), entry.date.slice(0, 10)].forEach((value) => {
+          const cell = doc.createElement('td');
+          cell.textContent = String(value);
+          row.appendChild(cell);
+        });
+        body.appendChild(row);
+      });
+      if (empty) empty.hidden = list.length > 0;
+    }
+
+    function open({ mode, level } = {}) {
+      setStatus('');
+      renderOptions(mode && level ? boardKey(mode, level) : select.value);
+      renderRows();
+      panel.hidden = false;
+    }
+
+    function close() {
+      panel.hidden = true;
+    }
+
+    select.addEventListener('change', renderRows);
+    const exportBtn = doc.getElementById('leaderboard-export');
+    if (exportBtn) exportBtn.addEventListener('click', () => downloadTables(board, doc));
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        readTablesFile(file)
+          .then((data) => {
+            const added = board.merge(data);
+            renderOptions(select.value);
+            renderRows();
+            setStatus(added ? t('leaderboard.merged', { count: added }) : t('leaderboard.nothingMerged'));
+          })
+          .catch((err) => setStatus(err.message, true));
+      });
+    }
+    const closeBtn = doc.getElementById('leaderboard-close');
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    const openBtn = doc.getElementById('leaderboard-button');
+    if (openBtn) openBtn.addEventListener('click', () => open());
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    return { open, close, isOpen: () => !panel.hidden };
+  }
+
+  // Asks for initials with the #initials-panel markup. Resolves with the
+  // initials, or null if the player skips.
+  function askInitials({ rank, score, initials = '', doc = globalThis.document } = {}) {
+    const panel = doc.getElementById('initials-panel');
+    const input = doc.getElementById('initials-input');
+    const form = doc.getElementById('initials-form');
+    const skip = doc.getElementById('initials-skip');
+    const message = doc.getElementById('initials-message');
+    if (!panel || !input || !form) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      function finish(value) {
+        form.removeEventListener('submit', onSubmit);
+        if (skip) skip.removeEventListener('click', onSkip);
+        panel.removeEventListener('keydown', onKey);
+        panel.hidden = true;
+        resolve(value);
+      }
+      function onSubmit(e) {
+        e.preventDefault();
+        finish(sanitizeInitials(input.value));
+      }
+      function onSkip() {
+        finish(null);
+      }
+      function onKey(e) {
+        e.stopPropagation(); // keep typing away from the game's key bindings
+        if (e.key === 'Escape') finish(null);
+      }
+
+      if (message) message.textContent = t('initials.placed', { count: score, rank });
+      input.value = initials === UNKNOWN_INITIALS ? '' : initials;
+      form.addEventListener('submit', onSubmit);
+      if (skip) skip.addEventListener('click', onSkip);
+      panel.addEventListener('keydown', onKey);
+      panel.hidden = false;
+      input.focus();
+      if (input.select) input.select();
+    });
+  }
+
+  return {
+    LEADERBOARD_KEY,
+    MAX_ENTRIES,
+    DEFAULT_MODE,
+    boardKey,
+    sanitizeInitials,
+    normalizeEntry,
+    loadTables,
+    createLeaderboard,
+    createLeaderboardPanel,
+    askInitials,
+  };
+});
@@ -0,0 +1,215 @@
+// Game modes. Each mode is a set of game.sim.js rules (config.mode) plus
+// any config it overrides: Classic is the endless game, Time Attack is a
+// 90 second score chase, Zen is a gentle run without misses or fish, and
+// the Daily Challenge seeds the run from the date so everyone gets the same
+// screws and fish that day. Versus is the two-player match in
+// game.versus.js, offered only by renderers that can draw it. The start page
+// picker (#mode-select) remembers the choice; each single-player mode keeps
+// its own leaderboard. Names and descriptions are the modes.<id> strings in
+// the locale files.
+
+(function (root, factory) {
+  const api = factory(
+    root.CatchbotSim || (typeof require === 'function' ? require('./game.sim.js') : null),
+    root.CatchbotI18n || (typeof require === 'function' ? require('./game.i18n.js') : null),
+  );
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotModes = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (CatchbotSim, CatchbotI18n) => {
+  const { t } = CatchbotI18n;
+  const MODE_KEY = 'catchbot-mode';
+  const DEFAULT_MODE = 'classic';
+  const DAILY_SALT = 'catchbot-daily-';
+
+  const MODES = [
+    {
+      id: 'classic',
+      rules: {},
+    },
+    {
+      id: 'timeAttack',
+      rules: { timeLimit: 90000, missesEnd: false, missPenalty: 20 },
+    },
+    {
+      id: 'zen',
+      rules: { missesEnd: false, countMisses: false, fish: false, fixedInterval: 1600 },
+      items: { bomb: { weight: 0 } },
+    },
+    {
+      id: 'daily',
+      rules: { fixedSchedule: true },
+      normalOnly: true, // the picked difficulty would change the spawns
+    },
+    {
+      id: 'versus',
+      rules: { timeLimit: 120000, fixedSchedule: true },
+      fish: { unlockScore: 0 }, // the shared hazard is on from the start
+      players: 2,
+    },
+  ];
+
+  const findMode = (id) => MODES.find((m) => m.id === id) || MODES.find((m) => m.id === DEFAULT_MODE);
+  const modeLabel = (id) => t(`modes.${findMode(id).id}.label`);
+  const modeDescription = (id) => t(`modes.${findMode(id).id}.description`);
+  const playerCount = (run) => findMode(run.id).players || 1;
+
+  // Local calendar date as YYYY-MM-DD, so the challenge turns over at midnight.
+  function dailyDate(now = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
+
+  // FNV-1a over the date string.
+  function dailySeed(date) {
+    let hash = 0x811c9dc5;
+    const text = `${DAILY_SALT}${date}`;
+    for (let i = 0; i < text.length; i += 1) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // The saved mode, or Classic if it needs more players than `maxPlayers`.
+  function loadMode(storage = globalThis.localStorage, maxPlayers = 1) {
+    try {
+      const mode = findMode(storage.getItem(MODE_KEY));
+      return (mode.players || 1) <= maxPlayers ? mode.id : DEFAULT_MODE;
+    } catch (err) {
+      return DEFAULT_MODE;
+    }
+  }
+
+  function saveMode(id, storage = globalThis.localStorage) {
+    storage.setItem(MODE_KEY, findMode(id).id);
+  }
+
+  // Sim config for `run` ({ id, date }) on top of the level's config.
+  function applyMode(config, run = { id: DEFAULT_MODE }) {
+    const mode = findMode(run.id);
+    const base = mode.normalOnly ? CatchbotSim.DEFAULT_CONFIG : config;
+    return {
+      ...base,
+      mode: { ...CatchbotSim.MODE_RULES, ...mode.rules, id: mode.id },
+      items: { ...base.items, ...(mode.items || {}) },
+      fish: { ...base.fish, ...(mode.fish || {}) },
+    };
+  }
+
+  // Everything a renderer needs to start a run in the selected mode:
+  // { run, config, seed }. `run` goes into the replay log and the
+  // leaderboard; `seed` is undefined unless the mode fixes it. Renderers
+  // that can draw a versus match pass `maxPlayers: 2`.
+  function prepareRun(levelConfig, { storage = globalThis.localStorage, now = new Date(), maxPlayers = 1 } = {}) {
+    const id = loadMode(storage, maxPlayers);
+    const run = id === 'daily' ? { id, date: dailyDate(now) } : { id };
+    return {
+      run,
+      config: applyMode(levelConfig, run),
+      seed: run.date ? dailySeed(run.date) : undefined,
+    };
+  }
+
+  // The single-player run every renderer plays, from prepareRun()'s
+  // { config, seed }: steering only reaches a live, unpaused run, and each
+  // frame feeds the sim its time scaled by the speed setting. `recorder`,
+  // when given, logs every aim change for the replay.
+  function createRunDriver({ config, seed }, { speed = () => 1, isPaused = () => false, recorder = null } = {}) {
+    const sim = CatchbotSim.createSim({ config, seed });
+    const live = () => sim.state.playing && !isPaused();
+
+    function steer(dir) {
+      if (!live()) return;
+      sim.setAim(dir);
+      if (recorder) recorder.aim(sim.state.aimTarget);
+    }
+
+    // Returns the number of sim steps taken.
+    function frame(seconds) {
+      if (!live()) return 0;
+      return sim.advance(seconds * speed());
+    }
+
+    return { sim, live, steer, frame };
+  }
+
+  // Leaderboard table for a run: the daily board is per date.
+  function boardFor(run, config) {
+    return { mode: run.id, level: run.date || config.levelName };
+  }
+
+  const boardLabel = ({ mode, level }) => t('modes.board', { mode: modeLabel(mode), level });
+
+  // HUD line under the score: misses left, the clock, or nothing at all to lose.
+  function statusLine(sim) {
+    const mode = { ...CatchbotSim.MODE_RULES, ...sim.config.mode };
+    const { misses, time } = sim.state;
+    const missed = mode.missesEnd
+      ? t('status.missedOf', { misses, max: sim.config.maxMisses })
+      : t('status.missed', { misses });
+    if (mode.timeLimit) {
+      const left = Math.max(0, Math.ceil((mode.timeLimit - time) / 1000));
+      const clock = `${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+      return t('status.timed', { clock, missed });
+    }
+    if (!mode.countMisses) return t('status.zen');
+    return missed;
+  }
+
+  // Wires the #mode-select / #mode-description markup on the start page,
+  // listing only the modes the chosen renderer can play. The list is redrawn
+  // when the language changes.
+  function createModeSelector({ doc = globalThis.document, now = new Date(), maxPlayers = 1 } = {}) {
+    const select = doc.getElementById('mode-select');
+    const descriptionEl = doc.getElementById('mode-description');
+    if (!select) return null;
+
+    function describe() {
+      const { id } = findMode(select.value);
+      const description = modeDescription(id);
+      if (descriptionEl) descriptionEl.textContent = id === 'daily' ? t('modes.dated', { description, date: dailyDate(now) }) : description;
+    }
+
+    function render() {
+      select.innerHTML = '';
+      MODES.filter((mode) => (mode.players || 1) <= maxPlayers).forEach((mode) => {
+        const option = doc.createElement('option');
+        option.value = mode.id;
+        option.textContent = modeLabel(mode.id);
+        select.appendChild(option);
+      });
+      select.value = loadMode(globalThis.localStorage, maxPlayers);
+      describe();
+    }
+
+    render();
+    select.addEventListener('change', () => {
+      saveMode(select.value);
+      describe();
+    });
+    CatchbotI18n.onLocaleChange(render);
+    return { describe };
+  }
+
+  return {
+    MODES,
+    DEFAULT_MODE,
+    modeLabel,
+    modeDescription,
+    playerCount,
+    dailyDate,
+    dailySeed,
+    loadMode,
+    saveMode,
+    applyMode,
+    prepareRun,
+    createRunDriver,
+    boardFor,
+    boardLabel,
+    statusLine,
+    createModeSelector,
+  };
+});
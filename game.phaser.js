@@ -1,24 +1,34 @@
+// Phaser front end. Renders the same headless simulation as the Pixi build
+// (game.sim.js owns spawning, scoring, misses, fish and magic screws), so the
+// two only differ in how they draw. Sound goes through the shared engine in
+// game.audio.js rather than Phaser's own. Loaded by game.boot.js when the
+// page is opened with ?renderer=phaser.
+
 (() => {
-  const BASE_WIDTH = 1200;
-  const BASE_HEIGHT = 768;
-  const GRAVITY = 1400;
-  const START_INTERVAL = 1800;
-  const MIN_INTERVAL = 800;
-  const INTERVAL_STEP = 35;
-  const MAX_MISSES = 5;
-  const ROBOT_STEP = 180;
-  const PARALLAX_RANGE = 24;
-  const BEST_KEY = 'catchbot-best-score';
-  const START_LIVES = 5;
-  const SPAWN_POINTS = [
-    { x: 0, y: 530, dir: 1 },
-    { x: 0, y: 344, dir: 1 },
-    { x: BASE_WIDTH, y: 530, dir: -1 },
-    { x: BASE_WIDTH, y: 344, dir: -1 },
-  ];
-  const LAUNCH = { dx: 220, dy: 280 };
+  const { DEFAULT_CONFIG } = window.CatchbotSim;
+  const { askInitials } = window.CatchbotLeaderboard;
+  const { prepareRun, createRunDriver, boardFor, boardLabel, statusLine } = window.CatchbotModes;
+  const { audio, leaderboard, achievements, access, announcer, diagnostics } = window.CatchbotBoot;
+  const { loadTouchSettings, onTouchChange, createDragTracker, createHaptics } = window.CatchbotInput;
+  const { t } = window.CatchbotI18n;
+  const { snapshot, describe, createFpsMeter } = window.CatchbotTelemetry;
+  const { createRobotBrain } = window.CatchbotRobot;
+  const BASE_WIDTH = DEFAULT_CONFIG.width;
+  const BASE_HEIGHT = DEFAULT_CONFIG.height;
+  const BEST_STREAK_KEY = 'catchbot-best-streak';
+  const TEXT_FONT = 'Roboto, sans-serif';
+  const DEBUG_READOUT_Y = 170; // below the pause and restart buttons
+  // Only the Left heads are drawn: robotPose() mirrors the whole robot when
+  // it turns right, as in game.js.
+  const HEAD_MOODS = { idle: 'robotHeadLeft', yea: 'robotHeadLeftYea', oi: 'robotHeadLeftOi' };
 
   let gameInstance = null;
+  // sim config built from the selected level file
+  let level = DEFAULT_CONFIG;
+  let settingsPanel = null;
+  const haptics = createHaptics();
+
+  const activeMain = () => (gameInstance && gameInstance.scene.isActive('main') ? gameInstance.scene.getScene('main') : null);
 
   class PreloadScene extends Phaser.Scene {
     constructor() {
@@ -29,25 +39,32 @@
       this.load.setPath('assets');
       this.load.image('background', 'background.png');
       this.load.image('robot', 'robot.png');
+      this.load.image('robotHeadLeft', 'robotHeadLeft.png');
+      this.load.image('robotHeadLeftYea', 'robotHeadLeftYea.png');
+      this.load.image('robotHeadLeftOi', 'robotHeadLeftOi.png');
       this.load.image('stand', 'stand.png');
       this.load.image('screw', 'screw.png');
+      this.load.image('screwMagic', 'screw-magic.png');
+      this.load.image('gear', 'gear.png');
+      this.load.image('bomb', 'bomb.png');
+      this.load.image('slowmo', 'slowmo.png');
+      this.load.image('shield', 'shield.png');
       this.load.image('fish', 'fish.png');
+      this.load.image('caterpillar', 'caterpillar_track.png');
       this.load.image('waterBack', 'waterBack.png');
       this.load.image('waterFront', 'waterFront.png');
       this.load.image('uiPause', 'ui-pause.png');
       this.load.image('uiReplay', 'ui-replay.png');
       this.load.image('uiPlay', 'ui-play.png');
-      this.load.audio('sfxCollect', 'sfx/collect.wav');
-      this.load.audio('sfxFish', 'sfx/ouch.wav');
-      this.load.audio('sfxMiss', 'sfx/miss.wav');
+      audio.load();
 
-      const loadingText = this.add.text(BASE_WIDTH / 2, BASE_HEIGHT / 2, 'Loading game...', {
-        fontFamily: 'Roboto, sans-serif',
+      const loadingText = this.add.text(BASE_WIDTH / 2, BASE_HEIGHT / 2, t('game.loading'), {
+        fontFamily: TEXT_FONT,
         fontSize: '22px',
         color: '#CFEFD2'
       }).setOrigin(0.5);
       const errorText = this.add.text(BASE_WIDTH / 2, BASE_HEIGHT / 2 + 36, '', {
-        fontFamily: 'Roboto, sans-serif',
+        fontFamily: TEXT_FONT,
         fontSize: '16px',
         color: '#FFBABA',
         align: 'center',
@@ -55,7 +72,7 @@
       }).setOrigin(0.5);
 
       this.load.on('loaderror', (file) => {
-        errorText.setText(`Failed to load ${file.key}`);
+        errorText.setText(t('game.loadFailed', { file: file.key }));
       });
 
       this.load.on('complete', () => loadingText.destroy());
@@ -68,201 +85,332 @@
   class MainScene extends Phaser.Scene {
     constructor() {
       super('main');
-      this.score = 0;
-      this.misses = 0;
-      this.spawnInterval = START_INTERVAL;
-      this.spawnTimer = null;
-      this.items = null;
+      this.sim = null;
+      this.driver = null;
+      this.itemSprites = new Map();
+      this.fishSprite = null;
       this.robot = null;
-      this.cartZone = null;
-      this.targetX = BASE_WIDTH / 2;
-      this.cursors = null;
-      this.keys = null;
+      this.robotHead = null;
+      this.brain = null;
+      this.controls = null;
+      this.gamepad = null;
       this.gameOver = false;
       this.hud = {};
       this.bestScore = 0;
-      this.lives = START_LIVES;
       this.ui = {};
+      this.paused = false;
+      this.pauseMenu = null;
+      this.waterPhase = 0;
+    }
+
+    // Runs on every (re)start, so a restarted scene begins from a clean run.
+    init() {
+      const { run, ...prepared } = prepareRun(level);
+      this.run = run;
+      this.driver = createRunDriver(prepared, { speed: access.speed, isPaused: () => this.paused });
+      this.sim = this.driver.sim;
+      this.brain = createRobotBrain();
+      this.itemSprites = new Map();
+      this.fishSprite = null;
+      this.gameOver = false;
+      this.hud = {};
+      this.ui = {};
+      this.paused = false;
+      this.pauseMenu = null;
+      this.waterPhase = 0;
+      this.touchScheme = loadTouchSettings().scheme;
+      this.drags = new Map(); // pointer id -> drag tracker
     }
 
     create() {
-      this.physics.world.setBounds(0, 0, BASE_WIDTH, BASE_HEIGHT);
-      this.physics.world.gravity.y = GRAVITY;
+      const { sim } = this;
+      sim.on('catch', (payload) => this.handleCatch(payload));
+      sim.on('miss', () => this.handleMiss());
+      sim.on('fishHit', () => this.handleFishHit());
+      sim.on('fishSplash', () => {
+        audio.play('miss', { volume: 0.35 });
+        this.brain.react('fishSplash');
+      });
+      sim.on('bombHit', (payload) => this.handleBombHit(payload));
+      sim.on('slowmo', () => this.flashText(t('game.popups.slowMotion'), '#C9A7FF'));
+      sim.on('shield', () => this.flashText(t('game.popups.shieldUp'), '#8DE9FF'));
+      sim.on('fishBlocked', ({ fish }) => {
+        this.flashText(t('game.popups.blocked'), '#8DE9FF', fish.x, fish.y);
+        audio.play('collect', { volume: 0.5 });
+        this.brain.react('fishSplash');
+      });
+      sim.on('gameOver', () => this.endGame());
+      const stopAchievements = achievements.watch(sim);
+      const stopAnnouncing = announcer.watch(sim);
+      const stopLogging = diagnostics.watch(sim, { run: this.run });
+      this.fpsMeter = createFpsMeter();
 
       this.add.image(BASE_WIDTH / 2, BASE_HEIGHT / 2, 'background')
         .setDisplaySize(BASE_WIDTH, BASE_HEIGHT)
         .setOrigin(0.5, 0.5);
 
-      this.stand = this.add.image(BASE_WIDTH / 2, BASE_HEIGHT - 80, 'stand');
-      this.stand.setOrigin(0.5, 1);
-      const standScale = (BASE_WIDTH * 0.42) / this.stand.width;
-      this.stand.setScale(standScale);
-
-      this.waterBack = this.add.tileSprite(BASE_WIDTH / 2, BASE_HEIGHT - 120, BASE_WIDTH, 135, 'waterBack')
-        .setOrigin(0.5, 0.5)
-        .setAlpha(0.65);
-      this.waterFront = this.add.tileSprite(BASE_WIDTH / 2, BASE_HEIGHT - 60, BASE_WIDTH, 100, 'waterFront')
-        .setOrigin(0.5, 0.5)
-        .setAlpha(0.8);
-      this.parallaxOrigin = BASE_WIDTH / 2;
-
-      this.robot = this.physics.add.image(BASE_WIDTH / 2, BASE_HEIGHT - 140, 'robot');
-      this.robot.setImmovable(true);
-      this.robot.body.allowGravity = false;
-      this.robot.setCollideWorldBounds(true);
-      const robotScale = (BASE_HEIGHT * 0.5) / this.robot.height;
-      this.robot.setScale(robotScale);
-      this.robot.body.setSize(this.robot.displayWidth * 0.45, this.robot.displayHeight * 0.2);
-      this.robot.body.setOffset(this.robot.displayWidth * 0.275, this.robot.displayHeight * 0.65);
-      this.robot.setDepth(10);
-
-      this.cartZone = this.add.zone(this.robot.x, this.robot.y + this.robot.displayHeight * 0.05,
-        this.robot.displayWidth * 0.5, this.robot.displayHeight * 0.25);
-      this.physics.world.enable(this.cartZone);
-      this.cartZone.body.setAllowGravity(false);
-      this.cartZone.body.moves = false;
-
-      this.items = this.physics.add.group({
-        allowGravity: true,
-        collideWorldBounds: false
+      this.waterBack = this.add.image(BASE_WIDTH / 2, BASE_HEIGHT - 18, 'waterBack').setOrigin(0.5, 1).setAlpha(0.75);
+      this.waterBack.displayWidth = BASE_WIDTH;
+      this.waterFront = this.add.image(BASE_WIDTH / 2, BASE_HEIGHT - 2, 'waterFront').setOrigin(0.5, 1).setAlpha(0.9);
+      this.waterFront.displayWidth = BASE_WIDTH;
+
+      this.add.image(BASE_WIDTH / 2, BASE_HEIGHT - 52, 'stand').setOrigin(0.5, 1).setScale(1.02);
+
+      const skin = achievements.selectedSkin();
+      const base = this.add.image(0, 0, 'robot').setOrigin(0.5, 1).setTint(skin.tint);
+      this.robotHead = this.add.image(0, base.height * -0.35, HEAD_MOODS.idle).setTint(skin.tint);
+      this.robot = this.add.container(0, 0, [base, this.robotHead]);
+      this.syncRobot();
+
+      sim.config.spawnPoints.forEach((pos) => {
+        this.add.image(pos.x, pos.y, 'caterpillar')
+          .setScale(1.2)
+          .setFlipX(pos.dir < 0)
+          .setAlpha(0.95)
+          .setDepth(1);
       });
 
-      this.physics.add.overlap(this.cartZone, this.items, this.handleCatch, undefined, this);
-
-      this.cursors = this.input.keyboard.createCursorKeys();
-      this.keys = this.input.keyboard.addKeys('A,D');
+      const controlHandlers = {
+        onAim: (dir) => this.steer(dir),
+        onSwitch: () => this.flipAim(),
+        onPause: () => this.togglePause(),
+        onRestart: () => this.scene.restart(),
+        onDebug: diagnostics.toggleOverlay,
+        isBlocked: () => settingsPanel && settingsPanel.isOpen(),
+      };
+      this.controls = window.CatchbotInput.createKeyboardInput(controlHandlers);
+      this.gamepad = window.CatchbotInput.createGamepadInput(controlHandlers);
+      const stopTouch = onTouchChange(({ scheme }) => {
+        this.touchScheme = scheme;
+        this.ui.arrows.setVisible(scheme === 'buttons');
+      });
+      const stopDebug = diagnostics.onChange(() => this.updateDebugOverlay());
+      this.events.once('shutdown', () => {
+        this.controls.destroy();
+        this.gamepad.destroy();
+        stopTouch();
+        stopAchievements();
+        stopAnnouncing();
+        stopLogging();
+        stopDebug();
+      });
 
-      this.input.on('pointermove', (pointer) => {
-        this.targetX = Phaser.Math.Clamp(pointer.worldX, 120, BASE_WIDTH - 120);
+      // Touches follow the scheme from the settings panel: the half of the
+      // screen, the way a drag slides, or the arrow buttons alone. With
+      // one-switch control any tap flips the cart instead.
+      this.input.on('pointerdown', (pointer, over) => {
+        if (over.length) return;
+        this.drags.set(pointer.id, createDragTracker(pointer.worldX));
+        if (access.oneSwitch()) {
+          this.flipAim();
+        } else if (this.touchScheme === 'halves') {
+          this.steer(pointer.worldX < BASE_WIDTH / 2 ? -1 : 1);
+        }
       });
-      this.input.on('pointerdown', (pointer) => {
-        // tap left/right half to nudge robot; drag still positions directly
-        const half = this.scale.gameSize.width / 2;
-        const step = ROBOT_STEP;
-        if (pointer.isDown && pointer.getDuration() < 250) {
-          if (pointer.worldX < half) {
-            this.targetX = Phaser.Math.Clamp(this.robot.x - step, 120, BASE_WIDTH - 120);
-          } else {
-            this.targetX = Phaser.Math.Clamp(this.robot.x + step, 120, BASE_WIDTH - 120);
-          }
-        } else {
-          this.targetX = Phaser.Math.Clamp(pointer.worldX, 120, BASE_WIDTH - 120);
+      this.input.on('pointermove', (pointer) => {
+        if (!pointer.isDown || access.oneSwitch()) return;
+        if (this.touchScheme === 'halves') this.steer(pointer.worldX < BASE_WIDTH / 2 ? -1 : 1);
+        const drag = this.drags.get(pointer.id);
+        if (this.touchScheme === 'drag' && drag) {
+          const dir = drag.move(pointer.worldX);
+          if (dir) this.steer(dir);
         }
       });
 
       this.createHud();
-      this.startSpawning();
+      this.createPauseMenu();
     }
 
     createHud() {
-      const textStyle = { fontFamily: 'Roboto, sans-serif', fontSize: '24px', color: '#E8FCE9' };
-      this.hud.score = this.add.text(24, 18, 'Score: 0', textStyle).setScrollFactor(0);
-      // load best score from local storage to mirror iOS persistence
-      const bestStored = Number(localStorage.getItem(BEST_KEY) || 0);
-      this.bestScore = Number.isFinite(bestStored) ? bestStored : 0;
-      this.hud.best = this.add.text(24, 50, `Best: ${this.bestScore}`, { ...textStyle, fontSize: '20px', color: '#8DE9FF' }).setScrollFactor(0);
-      this.hud.miss = this.add.text(24, 50, `Missed: 0/${MAX_MISSES}`, { ...textStyle, fontSize: '20px', color: '#F6D7D7' });
-      this.hud.miss.setY(this.hud.best.y + 26);
-      this.hud.prompt = this.add.text(BASE_WIDTH / 2, BASE_HEIGHT - 32, 'Tap left/right or drag to steer. Arrows/A/D also work.',
-        { ...textStyle, fontSize: '18px', color: '#CFEFD2' }).setOrigin(0.5, 1);
+      const textStyle = { fontFamily: TEXT_FONT, fontSize: '28px', color: '#E8FCE9' };
+      this.hud.score = this.add.text(24, 18, t('game.score', { score: 0 }), textStyle).setDepth(100);
+      const board = boardFor(this.run, this.sim.config);
+      this.bestScore = leaderboard.best(board.mode, board.level);
+      this.hud.best = this.add.text(24, 50, t('game.best', { best: this.bestScore }), { ...textStyle, fontSize: '22px', color: '#8DE9FF' }).setDepth(100);
+      this.hud.miss = this.add.text(24, 76, statusLine(this.sim), { ...textStyle, fontSize: '22px', color: '#F6D7D7' }).setDepth(100);
+      this.bestStreak = Number(localStorage.getItem(BEST_STREAK_KEY) || 0);
+      this.hud.streak = this.add.text(24, 102, t('game.streakBest', { streak: 0, best: this.bestStreak }), { ...textStyle, fontSize: '22px', color: '#FFE38A' }).setDepth(100);
+      this.hud.multiplier = this.add.text(270, 36, '', {
+        fontFamily: TEXT_FONT,
+        fontSize: '22px',
+        fontStyle: 'bold',
+        color: '#1B2A10',
+        backgroundColor: '#F2B33D',
+        padding: { x: 12, y: 4 }
+      }).setOrigin(0.5).setDepth(100).setVisible(false);
+      const { loadBindings, keyLabel } = window.CatchbotInput;
+      const bindings = loadBindings();
+      const hint = access.oneSwitch()
+        ? t('game.hints.oneSwitch', { keys: bindings.switch.map(keyLabel).join('/') })
+        : t(`game.hints.${this.touchScheme}`, { keys: [...bindings.left, ...bindings.right].map(keyLabel).join('/') });
+      this.hud.prompt = this.add.text(BASE_WIDTH / 2, BASE_HEIGHT - 12, hint,
+        { ...textStyle, fontSize: '18px', color: '#CFEFD2' }).setOrigin(0.5, 1).setDepth(100);
       this.hud.gameOver = this.add.text(BASE_WIDTH / 2, BASE_HEIGHT / 2, '', {
-        fontFamily: 'Roboto, sans-serif',
+        fontFamily: TEXT_FONT,
         fontSize: '40px',
         color: '#FFFFFF',
         align: 'center'
-      }).setOrigin(0.5).setVisible(false);
+      }).setOrigin(0.5).setVisible(false).setDepth(150);
 
-      this.ui.pauseBtn = this.add.image(BASE_WIDTH - 72, 48, 'uiPause').setInteractive({ useHandCursor: true });
+      this.ui.pauseBtn = this.add.image(BASE_WIDTH - 90, 52, 'uiPause').setInteractive({ useHandCursor: true }).setDepth(100);
       this.ui.pauseBtn.setScale(0.7);
       this.ui.pauseBtn.on('pointerdown', () => this.togglePause());
 
-      this.ui.restartBtn = this.add.image(BASE_WIDTH - 72, 116, 'uiReplay').setInteractive({ useHandCursor: true });
-      this.ui.restartBtn.setScale(0.7);
+      this.ui.restartBtn = this.add.image(BASE_WIDTH - 90, 126, 'uiReplay').setInteractive({ useHandCursor: true }).setDepth(100);
+      this.ui.restartBtn.setScale(0.6);
       this.ui.restartBtn.on('pointerdown', () => this.scene.restart());
+
+      // arrow buttons for the `buttons` touch scheme
+      this.ui.arrows = this.add.container(0, 0, [[-1, 80, '◀'], [1, BASE_WIDTH - 80, '▶']].map(([dir, x, glyph]) => {
+        const bg = this.add.circle(0, 0, 56, 0x1f6e2b, 0.75).setInteractive({ useHandCursor: true });
+        bg.on('pointerdown', () => this.steer(dir));
+        const label = this.add.text(0, 0, glyph, { fontFamily: TEXT_FONT, fontSize: '40px', color: '#F4FFF4' }).setOrigin(0.5);
+        return this.add.container(x, BASE_HEIGHT - 96, [bg, label]);
+      })).setDepth(100).setVisible(this.touchScheme === 'buttons');
+
+      // diagnostics overlay, drawn only while it is switched on
+      this.debugShapes = this.add.graphics().setDepth(90);
+      this.debugReadout = this.add.text(BASE_WIDTH - 16, DEBUG_READOUT_Y, '', {
+        fontFamily: 'monospace',
+        fontSize: '14px',
+        color: '#F4FFF4',
+        align: 'right'
+      }).setOrigin(1, 0).setDepth(100);
+      this.updateDebugOverlay();
     }
 
-    startSpawning() {
-      this.spawnTimer = this.time.addEvent({
-        delay: this.spawnInterval,
-        loop: true,
-        callback: () => {
-          this.spawnItem();
-          this.speedUp();
-        }
-      });
+    updateDebugOverlay() {
+      const on = diagnostics.overlay();
+      this.debugShapes.setVisible(on);
+      this.debugReadout.setVisible(on);
+      if (!on) return;
+      const snap = snapshot(this.sim);
+      const hole = snap.cartHole;
+      const g = this.debugShapes;
+      g.clear();
+      g.lineStyle(2, 0x7CFF6B, 1);
+      g.strokeRect(hole.x, hole.y, hole.width, hole.height);
+      g.lineStyle(1, 0xFFBA5C, 0.8);
+      g.strokeCircle(hole.centerX, hole.centerY, snap.fishHitRadius);
+      const { fish } = snap;
+      if (fish) {
+        g.lineStyle(1, 0x8DE9FF, 0.8);
+        g.beginPath();
+        g.moveTo(fish.start.x, fish.start.y);
+        [fish.controlUp, fish.target, fish.controlDown, fish.splash].forEach((p) => g.lineTo(p.x, p.y));
+        g.strokePath();
+        g.fillStyle(0xC9A7FF, 1);
+        [fish.controlUp, fish.controlDown].forEach((p) => g.fillCircle(p.x, p.y, 6));
+        g.fillStyle(0xFF6B5C, 1);
+        g.fillCircle(fish.x, fish.y, 5);
+      }
+      this.debugReadout.setText(describe(snap, this.fpsMeter.fps()).join('\n'));
     }
 
-    speedUp() {
-      if (this.spawnInterval <= MIN_INTERVAL) return;
-      this.spawnInterval = Math.max(MIN_INTERVAL, this.spawnInterval - INTERVAL_STEP);
-      if (this.spawnTimer) {
-        this.spawnTimer.remove(false);
+    createButton(label, y, onPress) {
+      const bg = this.add.rectangle(0, 0, 220, 56, 0x1f6e2b, 0.95).setInteractive({ useHandCursor: true });
+      const text = this.add.text(0, 0, label, {
+        fontFamily: TEXT_FONT,
+        fontSize: '24px',
+        fontStyle: 'bold',
+        color: '#F4FFF4'
+      }).setOrigin(0.5);
+      bg.on('pointerdown', onPress);
+      return this.add.container(BASE_WIDTH / 2, y, [bg, text]);
+    }
+
+    createPauseMenu() {
+      const dim = this.add.rectangle(BASE_WIDTH / 2, BASE_HEIGHT / 2, BASE_WIDTH, BASE_HEIGHT, 0x000000, 0.55).setInteractive();
+      const title = this.add.text(BASE_WIDTH / 2, BASE_HEIGHT / 2 - 150, t('game.pause.title'), {
+        fontFamily: TEXT_FONT,
+        fontSize: '44px',
+        fontStyle: 'bold',
+        color: '#FFFFFF'
+      }).setOrigin(0.5, 1);
+      const top = BASE_HEIGHT / 2 - 100;
+      this.pauseMenu = this.add.container(0, 0, [
+        dim,
+        title,
+        this.createButton(t('game.pause.resume'), top, () => this.resume()),
+        this.createButton(t('game.pause.restart'), top + 72, () => this.scene.restart()),
+        this.createButton(t('game.pause.settings'), top + 144, () => settingsPanel && settingsPanel.open()),
+        this.createButton(t('game.pause.quit'), top + 216, () => this.quit()),
+      ]);
+      // Zen never ends by itself
+      const { mode } = this.sim.config;
+      if (!mode.missesEnd && !mode.timeLimit) {
+        this.pauseMenu.add(this.createButton(t('game.pause.endRun'), top + 288, () => {
+          this.resume();
+          this.sim.finish();
+        }));
       }
-      this.startSpawning();
+      this.pauseMenu.setDepth(200).setVisible(false);
     }
 
-    spawnItem() {
-      if (this.gameOver) return;
-      const isFish = Math.random() < this.fishChance();
-      const key = isFish ? 'fish' : 'screw';
-      const spawn = Phaser.Utils.Array.GetRandom(SPAWN_POINTS);
-      const item = this.items.create(spawn.x, spawn.y, key);
-      const baseScale = isFish ? 0.5 : 0.45;
-      item.setScale(baseScale);
-      item.body.setCircle(Math.max(item.displayWidth, item.displayHeight) * 0.25);
-      item.body.setBounce(0.08);
-      const vx = spawn.dir * (LAUNCH.dx + Phaser.Math.Between(-40, 40));
-      const vy = LAUNCH.dy + Phaser.Math.Between(-40, 40);
-      item.setVelocity(vx, vy);
-      item.setData('type', isFish ? 'fish' : 'screw');
+    steer(dir) {
+      this.driver.steer(dir);
     }
 
-    fishChance() {
-      if (this.score < 50) return 0.08;
-      if (this.score < 150) return 0.12;
-      return 0.16;
+    flipAim() {
+      if (access.oneSwitch()) this.steer(this.sim.state.aimTarget >= 0 ? -1 : 1);
     }
 
-    handleCatch(zone, item) {
-      const type = item.getData('type');
-      if (type === 'fish') {
-        this.addScore(-500);
-        this.flashText('Fish! -500', '#FFBA5C');
-        this.sound.play('sfxFish', { volume: 0.7 });
-      } else {
-        this.addScore(10);
-        this.flashText('+10', '#9CFFC2', item.x, item.y);
-        this.sound.play('sfxCollect', { volume: 0.7 });
-      }
-      item.destroy();
+    handleCatch({ item, points }) {
+      const magic = item.type === 'magic';
+      this.flashText(`+${points}`, magic ? '#8DE9FF' : '#9CFFC2', item.x, item.y);
+      audio.play('collect', { volume: magic ? 0.9 : 0.7, rapid: true });
+      haptics.pulse('catch');
+      this.brain.react('catch', { magic });
+      this.updateHud();
     }
 
-    addScore(value) {
-      this.score = Math.max(0, this.score + value);
-      this.hud.score.setText(`Score: ${this.score}`);
-      if (this.score > this.bestScore) {
-        this.bestScore = this.score;
-        this.hud.best.setText(`Best: ${this.bestScore}`);
-        localStorage.setItem(BEST_KEY, String(this.bestScore));
-      }
+    handleMiss() {
+      audio.play('miss', { volume: 0.65 });
+      haptics.pulse('miss');
+      this.brain.react('miss');
+      this.updateHud();
+    }
+
+    handleFishHit() {
+      this.flashText(t('game.popups.fish', { penalty: this.sim.config.fishPenalty }), '#FFBA5C');
+      audio.play('fish', { volume: 0.7 });
+      haptics.pulse('hit');
+      this.brain.react('fishHit');
+      this.updateHud();
     }
 
-    registerMiss(item) {
-      item.destroy();
-      this.misses += 1;
-      this.hud.miss.setText(`Missed: ${this.misses}/${MAX_MISSES}`);
-      this.sound.play('sfxMiss', { volume: 0.65 });
-      if (this.misses >= MAX_MISSES) {
-        this.endGame();
+    handleBombHit({ item, penalty }) {
+      this.flashText(t('game.popups.bomb', { penalty }), '#FF6B5C', item.x, item.y);
+      audio.play('fish', { volume: 0.8 });
+      haptics.pulse('hit');
+      this.brain.react('fishHit');
+      this.updateHud();
+    }
+
+    updateHud() {
+      const { score } = this.sim.state;
+      this.hud.score.setText(t('game.score', { score }));
+      this.hud.miss.setText(statusLine(this.sim));
+      if (score > this.bestScore) {
+        this.bestScore = score;
+        this.hud.best.setText(t('game.best', { best: this.bestScore }));
       }
+      const { streak, multiplier, streakShields } = this.sim.state;
+      if (streak > this.bestStreak) {
+        this.bestStreak = streak;
+        localStorage.setItem(BEST_STREAK_KEY, String(this.bestStreak));
+      }
+      const streakText = t('game.streakBest', { streak, best: this.bestStreak });
+      this.hud.streak.setText(streakShields > 0 ? t('game.shield', { streak: streakText }) : streakText);
+      this.hud.multiplier.setText(`x${multiplier}`).setVisible(multiplier > 1);
     }
 
     flashText(text, color, x = BASE_WIDTH / 2, y = BASE_HEIGHT / 2) {
       const label = this.add.text(x, y, text, {
-        fontFamily: 'Roboto, sans-serif',
+        fontFamily: TEXT_FONT,
         fontSize: '24px',
         color
-      }).setOrigin(0.5);
+      }).setOrigin(0.5).setDepth(120);
       this.tweens.add({
         targets: label,
         y: y - 40,
@@ -275,60 +423,155 @@
 
     endGame() {
       this.gameOver = true;
-      if (this.spawnTimer) {
-        this.spawnTimer.remove(false);
+      this.syncSprites();
+      const { score } = this.sim.state;
+      const run = { ...this.sim.summary(), date: new Date().toISOString() };
+      const board = boardFor(this.run, this.sim.config);
+      const rank = leaderboard.rankFor(score, board.mode, board.level);
+      const showResult = (placed) => {
+        const ranked = placed ? `\n${t('game.over.rank', { rank: placed, board: boardLabel(board) })}` : '';
+        const title = this.sim.config.mode.timeLimit ? t('game.over.timesUp') : t('game.over.gameOver');
+        this.hud.gameOver.setText(`${title}\n${t('game.score', { score })}${ranked}\n${t('game.over.clickToRestart')}`);
+        this.hud.gameOver.setVisible(true);
+        this.input.once('pointerdown', () => this.scene.restart());
+        this.input.keyboard.once('keydown', () => this.scene.restart());
+      };
+      if (!rank) {
+        showResult(0);
+        return;
       }
-      this.items.children.each((item) => item.destroy());
-      this.hud.gameOver.setText(`Game Over\nScore: ${this.score}\nClick to restart`);
-      this.hud.gameOver.setVisible(true);
-      this.input.once('pointerdown', () => this.scene.restart());
-      this.input.keyboard.once('keydown', () => this.scene.restart());
-      this.time.timeScale = 1;
+      askInitials({ rank, score, initials: leaderboard.lastInitials() }).then((initials) => {
+        const placed = leaderboard.add(board.mode, board.level, { ...run, initials });
+        if (this.scene.isActive()) showResult(placed);
+      });
     }
 
     togglePause() {
-      if (this.gameOver) return;
-      const paused = this.physics.world.isPaused;
-      this.physics.world.isPaused = !paused;
-      this.time.timeScale = paused ? 1 : 0;
-      this.hud.pauseBtn.setText(paused ? '[ Pause ]' : '[ Resume ]');
+      if (this.paused) {
+        this.resume();
+      } else {
+        this.pause();
+      }
     }
 
-    update() {
-      if (this.gameOver) return;
+    pause() {
+      if (this.gameOver || this.paused) return;
+      this.paused = true;
+      this.tweens.pauseAll();
+      this.ui.pauseBtn.setTexture('uiPlay');
+      this.pauseMenu.setVisible(true);
+    }
 
-      let keyboardDelta = 0;
-      if (this.cursors.left.isDown || this.keys.A.isDown) keyboardDelta -= 1;
-      if (this.cursors.right.isDown || this.keys.D.isDown) keyboardDelta += 1;
-      if (keyboardDelta !== 0) {
-        this.targetX = Phaser.Math.Clamp(this.robot.x + keyboardDelta * 18, 120, BASE_WIDTH - 120);
-      }
+    resume() {
+      if (!this.paused) return;
+      this.paused = false;
+      this.tweens.resumeAll();
+      this.ui.pauseBtn.setTexture('uiPause');
+      this.pauseMenu.setVisible(false);
+    }
 
-      this.robot.x = Phaser.Math.Linear(this.robot.x, this.targetX, 0.15);
-      this.cartZone.x = this.robot.x;
-      this.cartZone.y = this.robot.y + this.robot.displayHeight * 0.05;
+    // Back to the support page; the run stays paused until Play restarts it.
+    quit() {
+      this.pauseMenu.setVisible(false);
+      document.body.classList.remove('is-playing');
+    }
+
+    // The head shows the shared robot brain's mood (idle / Yea / Oi). The
+    // eye, blink and light rig is drawn by game.js only: it is measured
+    // against the split robotBase sprite, and this scene draws robot.png.
+    syncRobot(dt = 0) {
+      const pose = this.sim.robotPose();
+      this.robot.setPosition(pose.x, pose.y);
+      this.robot.setScale(pose.scaleX, pose.scaleY);
+      this.robot.setRotation(pose.rotation);
+      this.brain.update(dt);
+      const mood = HEAD_MOODS[this.brain.pose().mood];
+      if (this.robotHead.texture.key !== mood) this.robotHead.setTexture(mood);
+      this.robotHead.setRotation(this.sim.state.aimBias * 0.05);
+    }
 
-      this.items.children.each((item) => {
-        if (item.y > BASE_HEIGHT + 80) {
-          this.registerMiss(item);
+    // Mirrors sim.items and sim.fish into images, creating and dropping as needed.
+    syncSprites() {
+      const { sim } = this;
+      const live = new Set();
+      sim.items.forEach((item) => {
+        live.add(item.id);
+        let sprite = this.itemSprites.get(item.id);
+        if (!sprite) {
+          const type = sim.itemTypes[item.type];
+          const look = access.itemLook(item.type, type);
+          sprite = this.add.image(item.x, item.y, type.sprite).setScale(type.scale).setDepth(5);
+          if (look.tint !== undefined) sprite.setTint(look.tint);
+          if (type.alpha !== undefined) sprite.setAlpha(type.alpha);
+          if (look.ring !== null) {
+            // high contrast: the ring and the item move together
+            const radius = (Math.max(sprite.width, sprite.height) / 2 + 8) * type.scale;
+            const ring = this.add.circle(0, 0, radius).setStrokeStyle(5, look.ring);
+            sprite = this.add.container(item.x, item.y, [ring, sprite.setPosition(0, 0)]).setDepth(5);
+          }
+          this.itemSprites.set(item.id, sprite);
         }
+        sprite.setPosition(item.x, item.y);
+      });
+      this.itemSprites.forEach((sprite, id) => {
+        if (live.has(id)) return;
+        sprite.destroy();
+        this.itemSprites.delete(id);
       });
 
-      // simple parallax based on robot offset from center
-      const bias = Phaser.Math.Clamp((this.robot.x - this.parallaxOrigin) / (BASE_WIDTH / 2), -1, 1);
-      const shift = bias * PARALLAX_RANGE;
-      if (this.waterBack && this.waterFront) {
-        this.waterBack.tilePositionX = shift * 0.4;
-        this.waterFront.tilePositionX = shift;
+      if (sim.fish) {
+        if (!this.fishSprite) this.fishSprite = this.add.image(sim.fish.x, sim.fish.y, 'fish').setScale(0.55).setDepth(8);
+        this.fishSprite.setPosition(sim.fish.x, sim.fish.y);
+      } else if (this.fishSprite) {
+        this.fishSprite.destroy();
+        this.fishSprite = null;
       }
     }
+
+    update(time, delta) {
+      this.fpsMeter.frame();
+      if (this.gameOver || this.paused) return;
+      this.driver.frame(delta / 1000);
+      if (this.gameOver) return;
+      if (this.sim.config.mode.timeLimit) this.hud.miss.setText(statusLine(this.sim));
+
+      this.syncRobot(delta / 1000);
+      this.waterPhase += (delta / 1000) * 0.4;
+      const bias = this.sim.state.aimBias;
+      this.waterBack.x = BASE_WIDTH / 2 + bias * 10 + Math.sin(this.waterPhase) * 6;
+      this.waterFront.x = BASE_WIDTH / 2 + bias * 16 + Math.sin(this.waterPhase * 1.2) * 10;
+      this.syncSprites();
+      this.updateDebugOverlay();
+    }
   }
 
   const startGame = (onReady, onError) => {
-    if (gameInstance) {
-      if (onReady) onReady();
-      return;
-    }
+    window.CatchbotConfig.loadSelectedLevel().then(({ config }) => {
+      level = config;
+      if (gameInstance) {
+        // coming back from the support page: start a fresh run
+        const main = activeMain();
+        if (main) main.scene.restart();
+        if (onReady) onReady();
+        return;
+      }
+      createGame(onReady, onError);
+    });
+  };
+
+  // Hidden tabs and lost focus pause the run; the player resumes by hand.
+  const watchFocus = () => {
+    const pauseActive = () => {
+      const main = activeMain();
+      if (main) main.pause();
+    };
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) pauseActive();
+    });
+    window.addEventListener('blur', pauseActive);
+  };
+
+  const createGame = (onReady, onError) => {
     try {
       gameInstance = new Phaser.Game({
         type: Phaser.WEBGL, // explicit render type to avoid custom env error
@@ -349,21 +592,22 @@
           pixelArt: false,
           powerPreference: 'high-performance'
         },
-        physics: {
-          default: 'arcade',
-          arcade: {
-            gravity: { y: GRAVITY },
-            debug: false
-          }
-        },
+        audio: { noAudio: true }, // game.audio.js plays every sound
         scene: [PreloadScene, MainScene]
       });
+      settingsPanel = window.CatchbotInput.createSettingsPanel({
+        onOpen: () => {
+          const main = activeMain();
+          if (main) main.pause();
+        },
+      });
+      watchFocus();
       if (onReady) onReady();
     } catch (err) {
       console.error('Failed to start game', err);
-      if (onError) onError(err.message || 'Failed to start game');
+      if (onError) onError(err.message || t('page.startFailed'));
     }
   };
 
-  window.startCatchbot = startGame;
+  window.CatchbotBoot.register('phaser', startGame);
 })();
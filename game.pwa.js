@@ -0,0 +1,54 @@
+// Registers sw.js for offline play and shows the #update-banner when a new
+// version has been downloaded. Reload hands control to the waiting worker;
+// Later keeps the current version until the next visit.
+
+(() => {
+  const SW_URL = 'sw.js';
+
+  function showUpdate(registration) {
+    const banner = document.getElementById('update-banner');
+    const reload = document.getElementById('update-reload');
+    const later = document.getElementById('update-later');
+    if (!banner || !registration.waiting) return;
+    banner.hidden = false;
+    reload.onclick = () => {
+      reload.disabled = true;
+      registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+    };
+    later.onclick = () => {
+      banner.hidden = true;
+    };
+  }
+
+  function register() {
+    navigator.serviceWorker.register(SW_URL).then((registration) => {
+      // only prompt when an older worker already controls the page
+      if (registration.waiting && navigator.serviceWorker.controller) showUpdate(registration);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdate(registration);
+        });
+      });
+    }).catch((err) => console.warn('Offline support unavailable', err));
+
+    // The first install also claims the page; only an update needs a reload.
+    let firstInstall = !navigator.serviceWorker.controller;
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (firstInstall) {
+        firstInstall = false;
+        return;
+      }
+      if (reloading) return;
+      reloading = true;
+      window.location.reload();
+    });
+  }
+
+  // Service workers need http(s); opening index.html from disk still plays online.
+  if ('serviceWorker' in navigator && /^https?:$/.test(window.location.protocol)) {
+    window.addEventListener('load', register);
+  }
+})();
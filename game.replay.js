@@ -0,0 +1,322 @@
+// Session recording and playback on top of game.sim.js. A replay log is the
+// run seed, the level and game mode it was played in and the inputs that
+// reached the sim, keyed by sim tick, so any front end can rebuild the exact
+// same frames:
+// [tick, 'aim', -1|1], [tick, 'pause'], [tick, 'resume'], [tick, 'finish']
+// and [tick, 'restart', nextSeed].
+
+(function (root, factory) {
+  const api = factory(
+    root.CatchbotSim || (typeof require === 'function' ? require('./game.sim.js') : null),
+    root.CatchbotI18n || (typeof require === 'function' ? require('./game.i18n.js') : null),
+  );
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotReplay = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (CatchbotSim, CatchbotI18n) => {
+  const { t } = CatchbotI18n;
+  const REPLAY_FORMAT = 'catchbot-replay';
+  const REPLAY_VERSION = 2; // 2: swept cart collisions and rim bounces
+  const SPEEDS = [0.5, 1, 2, 4];
+
+  function createRecorder({ level = null, mode = null } = {}) {
+    const log = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: null,
+      level,
+      mode,
+      inputs: [],
+      ticks: 0,
+    };
+    let sim = null;
+    let lastAim = null;
+
+    function tick() {
+      return sim ? sim.state.tick : 0;
+    }
+
+    // Call with every new sim: the first one sets the seed, later ones are restarts.
+    function begin(nextSim) {
+      if (log.seed === null) {
+        log.seed = nextSim.seed;
+      } else {
+        log.inputs.push([tick(), 'restart', nextSim.seed]);
+      }
+      sim = nextSim;
+      lastAim = nextSim.state.aimTarget;
+    }
+
+    function aim(value) {
+      if (!sim || value === lastAim) return;
+      lastAim = value;
+      log.inputs.push([tick(), 'aim', value]);
+    }
+
+    function pause() {
+      if (sim) log.inputs.push([tick(), 'pause']);
+    }
+
+    function resume() {
+      if (sim) log.inputs.push([tick(), 'resume']);
+    }
+
+    function finish() {
+      if (sim) log.inputs.push([tick(), 'finish']);
+    }
+
+    function toJSON() {
+      return { ...log, inputs: log.inputs.map((input) => [...input]), ticks: tick() };
+    }
+
+    // A replay rebuilds every segment with the log's level and mode, so a
+    // restart only joins this log when both are unchanged.
+    function continues(next) {
+      const sameLevel = JSON.stringify(next.level || null) === JSON.stringify(log.level);
+      const sameMode = (next.mode || {}).id === (log.mode || {}).id && (next.mode || {}).date === (log.mode || {}).date;
+      return sameLevel && sameMode;
+    }
+
+    return { begin, aim, pause, resume, finish, toJSON, continues };
+  }
+
+  const replayError = (key, params) => new Error(t(`replay.error.${key}`, params));
+
+  // Throws with a readable message when `log` is not something we recorded.
+  function validateLog(log) {
+    if (!log || typeof log !== 'object') throw replayError('empty');
+    if (log.format !== REPLAY_FORMAT) throw replayError('format');
+    if (log.version !== REPLAY_VERSION) throw replayError('version', { version: String(log.version) });
+    if (!Number.isInteger(log.seed)) throw replayError('seed');
+    if (log.level !== undefined && log.level !== null && typeof log.level !== 'object') throw replayError('level');
+    if (log.mode !== undefined && log.mode !== null && (typeof log.mode !== 'object' || typeof log.mode.id !== 'string')) throw replayError('mode');
+    if (!Array.isArray(log.inputs)) throw replayError('inputs');
+    if (!Number.isInteger(log.ticks) || log.ticks < 0) throw replayError('ticks');
+    log.inputs.forEach((input, i) => {
+      if (!Array.isArray(input) || !Number.isInteger(input[0]) || typeof input[1] !== 'string') {
+        throw replayError('input', { index: i + 1 });
+      }
+    });
+    return log;
+  }
+
+  // Splits a session log into one segment per run: { seed, ticks, inputs }.
+  function segmentsOf(log) {
+    const segments = [];
+    let current = { seed: log.seed, inputs: [] };
+    log.inputs.forEach((input) => {
+      if (input[1] === 'restart') {
+        segments.push({ ...current, ticks: input[0] });
+        current = { seed: input[2], inputs: [] };
+      } else {
+        current.inputs.push(input);
+      }
+    });
+    segments.push({ ...current, ticks: log.ticks });
+    return segments;
+  }
+
+  // Plays a log back frame by frame. `frame` counts sim steps across the
+  // whole session; seek() rebuilds the run from its seed and fast-forwards.
+  function createReplayPlayer(log, { config, onSim, onEnd } = {}) {
+    const segments = segmentsOf(validateLog(log));
+    const starts = [];
+    const totalFrames = segments.reduce((sum, seg) => {
+      starts.push(sum);
+      return sum + seg.ticks;
+    }, 0);
+    let segmentIndex = 0;
+    let sim = null;
+    let cursor = 0; // next input of the current segment
+    let frame = 0;
+    let accumulator = 0;
+    let paused = false;
+    let speed = 1;
+
+    function applyInputs() {
+      const { inputs } = segments[segmentIndex];
+      while (cursor < inputs.length && inputs[cursor][0] <= sim.state.tick) {
+        const [, type, value] = inputs[cursor];
+        if (type === 'aim') sim.setAim(value);
+        if (type === 'finish') sim.finish();
+        cursor += 1;
+      }
+    }
+
+    function loadSegment(index) {
+      segmentIndex = index;
+      cursor = 0;
+      sim = CatchbotSim.createSim({ seed: segments[index].seed, config });
+    }
+
+    function stepFrame() {
+      if (frame >= totalFrames) return false;
+      while (sim.state.tick >= segments[segmentIndex].ticks && segmentIndex < segments.length - 1) {
+        loadSegment(segmentIndex + 1);
+        if (onSim) onSim(sim);
+      }
+      applyInputs();
+      sim.step();
+      frame += 1;
+      return true;
+    }
+
+    function seek(target) {
+      const goal = Math.max(0, Math.min(totalFrames, Math.round(target)));
+      let index = 0;
+      while (index < segments.length - 1 && goal >= starts[index + 1]) index += 1;
+      loadSegment(index);
+      frame = starts[index];
+      while (frame < goal) {
+        applyInputs();
+        sim.step();
+        frame += 1;
+      }
+      accumulator = 0;
+      if (onSim) onSim(sim);
+    }
+
+    function advance(seconds) {
+      if (paused) return 0;
+      accumulator += Math.min(0.25, Math.max(0, seconds)) * speed;
+      let steps = 0;
+      while (accumulator >= CatchbotSim.FIXED_DT) {
+        accumulator -= CatchbotSim.FIXED_DT;
+        if (!stepFrame()) {
+          paused = true;
+          accumulator = 0;
+          if (onEnd) onEnd();
+          break;
+        }
+        steps += 1;
+      }
+      return steps;
+    }
+
+    seek(0);
+
+    return {
+      totalFrames,
+      sim: () => sim,
+      frame: () => frame,
+      seek,
+      stepFrame,
+      advance,
+      isPaused: () => paused,
+      setPaused(value) {
+        paused = Boolean(value);
+        if (!paused && frame >= totalFrames) seek(0);
+      },
+      speed: () => speed,
+      setSpeed(value) {
+        speed = SPEEDS.includes(Number(value)) ? Number(value) : 1;
+      },
+    };
+  }
+
+  function formatFrames(frames) {
+    const total = Math.floor(frames * CatchbotSim.FIXED_DT);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  function downloadLog(log, doc = globalThis.document) {
+    const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = doc.createElement('a');
+    link.href = url;
+    link.download = `catchbot-replay-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.json`;
+    doc.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function readLogFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          resolve(validateLog(JSON.parse(reader.result)));
+        } catch (err) {
+          reject(err instanceof SyntaxError ? replayError('empty') : err);
+        }
+      };
+      reader.onerror = () => reject(replayError('read'));
+      reader.readAsText(file);
+    });
+  }
+
+  // Wires the #replay-bar markup in index.html to a player. Call update()
+  // every rendered frame so the scrubber and clock follow playback.
+  function createReplayControls(player, { doc = globalThis.document, onExit } = {}) {
+    const bar = doc.getElementById('replay-bar');
+    const toggle = doc.getElementById('replay-toggle');
+    const speedSelect = doc.getElementById('replay-speed');
+    const scrub = doc.getElementById('replay-scrub');
+    const clock = doc.getElementById('replay-time');
+    const exit = doc.getElementById('replay-exit');
+    let scrubbing = false;
+
+    const onToggle = () => {
+      player.setPaused(!player.isPaused());
+      update();
+    };
+    const onSpeed = () => player.setSpeed(speedSelect.value);
+    const onScrubStart = () => {
+      scrubbing = true;
+    };
+    const onScrub = () => {
+      player.seek(Number(scrub.value));
+      update();
+    };
+    const onScrubEnd = () => {
+      scrubbing = false;
+    };
+    const onExitClick = () => {
+      destroy();
+      if (onExit) onExit();
+    };
+
+    function update() {
+      toggle.textContent = player.isPaused() ? t('replay.play') : t('replay.pause');
+      if (!scrubbing) scrub.value = String(player.frame());
+      clock.textContent = `${formatFrames(player.frame())} / ${formatFrames(player.totalFrames)}`;
+    }
+
+    function destroy() {
+      bar.hidden = true;
+      toggle.removeEventListener('click', onToggle);
+      speedSelect.removeEventListener('change', onSpeed);
+      scrub.removeEventListener('pointerdown', onScrubStart);
+      scrub.removeEventListener('input', onScrub);
+      scrub.removeEventListener('change', onScrubEnd);
+      exit.removeEventListener('click', onExitClick);
+    }
+
+    scrub.max = String(player.totalFrames);
+    speedSelect.value = String(player.speed());
+    toggle.addEventListener('click', onToggle);
+    speedSelect.addEventListener('change', onSpeed);
+    scrub.addEventListener('pointerdown', onScrubStart);
+    scrub.addEventListener('input', onScrub);
+    scrub.addEventListener('change', onScrubEnd);
+    exit.addEventListener('click', onExitClick);
+    bar.hidden = false;
+    update();
+
+    return { update, destroy, toggle: onToggle };
+  }
+
+  return {
+    SPEEDS,
+    createRecorder,
+    validateLog,
+    segmentsOf,
+    createReplayPlayer,
+    createReplayControls,
+    downloadLog,
+    readLogFile,
+  };
+});
@@ -0,0 +1,111 @@
+// Robot mood state machine. Renderers forward game events with react() and
+// read pose() every frame to drive the head variant (idle / Yea / Oi), the
+// eyelid blink, the light on the head, the hand jolt and where the eye looks.
+// It only animates: nothing here feeds back into game.sim.js.
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotRobot = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  // Seconds each reaction holds its mood before the robot settles to idle.
+  const REACTIONS = {
+    catch: { mood: 'yea', hold: 0.6, light: 1, lift: 1 },
+    magicCatch: { mood: 'yea', hold: 1, light: 1, lift: 1.4 },
+    miss: { mood: 'oi', hold: 0.8, shake: 1 },
+    fishHit: { mood: 'oi', hold: 1.2, shake: 1.6 },
+    fishSplash: { mood: 'yea', hold: 0.4 }, // the fish went back in the water
+  };
+  const BLINK_DURATION = 0.14;
+  const BLINK_GAP_MIN = 1.8;
+  const BLINK_GAP_RANGE = 3.2;
+  const OI_SQUINT = 0.55; // lid position while wincing, 1 = closed
+  const IDLE_GLOW = 0.25;
+  const LIGHT_DECAY = 3; // per second
+  const LIFT_DECAY = 6;
+  const SHAKE_DECAY = 5;
+  const LOOK_EASE = 10;
+
+  const decay = (value, rate, dt) => value * Math.exp(-rate * dt);
+
+  function createRobotBrain({ random = Math.random } = {}) {
+    const state = {
+      mood: 'idle',
+      hold: 0,
+      time: 0,
+      blink: -1, // seconds into the current blink, -1 when the eye is open
+      nextBlink: BLINK_GAP_MIN + random() * BLINK_GAP_RANGE,
+      light: 0,
+      lift: 0,
+      shake: 0,
+      look: { x: 0, y: 0 },
+      lookTarget: { x: 0, y: 0 },
+    };
+
+    function react(event, { magic = false } = {}) {
+      const reaction = REACTIONS[event === 'catch' && magic ? 'magicCatch' : event];
+      if (!reaction) return;
+      state.mood = reaction.mood;
+      state.hold = reaction.hold;
+      if (reaction.light) state.light = reaction.light;
+      if (reaction.lift) state.lift = reaction.lift;
+      if (reaction.shake) state.shake = reaction.shake;
+    }
+
+    // Direction for the pupils, each axis in -1..1; (0, 0) looks straight ahead.
+    function lookAt(x, y) {
+      const length = Math.hypot(x, y);
+      const scale = length > 1 ? 1 / length : 1;
+      state.lookTarget = { x: x * scale, y: y * scale };
+    }
+
+    function update(dt) {
+      state.time += dt;
+      if (state.mood !== 'idle') {
+        state.hold -= dt;
+        if (state.hold <= 0) state.mood = 'idle';
+      }
+      if (state.blink >= 0) {
+        state.blink += dt;
+        if (state.blink >= BLINK_DURATION) state.blink = -1;
+      } else {
+        state.nextBlink -= dt;
+        if (state.nextBlink <= 0) {
+          state.blink = 0;
+          state.nextBlink = BLINK_GAP_MIN + random() * BLINK_GAP_RANGE;
+        }
+      }
+      state.light = decay(state.light, LIGHT_DECAY, dt);
+      state.lift = decay(state.lift, LIFT_DECAY, dt);
+      state.shake = decay(state.shake, SHAKE_DECAY, dt);
+      const ease = 1 - Math.exp(-LOOK_EASE * dt);
+      state.look.x += (state.lookTarget.x - state.look.x) * ease;
+      state.look.y += (state.lookTarget.y - state.look.y) * ease;
+    }
+
+    // Everything a renderer needs for one frame, as plain numbers.
+    //   lid    0 open .. 1 closed
+    //   light  0 off .. 1 full pulse
+    //   lift   hands jolt upward after a catch, fades to 0
+    //   shake  signed sideways jitter after a miss, fades to 0
+    function pose() {
+      const blinkLid = state.blink >= 0 ? Math.sin((state.blink / BLINK_DURATION) * Math.PI) : 0;
+      const glow = IDLE_GLOW + 0.1 * Math.sin(state.time * 2);
+      return {
+        mood: state.mood,
+        lid: state.mood === 'oi' ? Math.max(blinkLid, OI_SQUINT) : blinkLid,
+        light: Math.max(glow, state.light),
+        lift: state.lift,
+        shake: state.shake * Math.sin(state.time * 60),
+        look: { ...state.look },
+      };
+    }
+
+    return { react, lookAt, update, pose };
+  }
+
+  return { REACTIONS, createRobotBrain };
+});
@@ -0,0 +1,810 @@
+// Headless CatchBot simulation: conveyor launches, gravity, cart catches,
+// misses, streak multipliers, fish arcs, magic screw recovery and the
+// SpawnScrewIntellect difficulty controller. Runs on a fixed timestep with a seeded RNG and never
+// touches the DOM or a renderer, so the Pixi/Phaser front ends only draw
+// `sim.state`, `sim.items` and `sim.fish`, and Node can drive it directly.
+// Items meet the cart through the swept tests in game.collision.js.
+
+(function (root, factory) {
+  const api = factory(root.CatchbotCollision || (typeof require === 'function' ? require('./game.collision.js') : null));
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotSim = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (CatchbotCollision) => {
+  const { cartFrame, collideItem } = CatchbotCollision;
+  const FIXED_DT = 1 / 60;
+  const MAX_FRAME_TIME = 0.25; // seconds of backlog accepted per advance()
+
+  const BASE_WIDTH = 1314; // matches SpriteKit background width
+  const BASE_HEIGHT = 768;
+  const GRAVITY = 900;
+  const LAUNCH = { dx: 445, dy: 490, jitter: 40 };
+  // Upper conveyors sit above the cart, so they lob flatter than the lower ones.
+  const SPAWN_POINTS = [
+    { x: 62, y: 530, dir: 1 },
+    { x: 92, y: 344, dir: 1, launch: { dx: 445, dy: 265 } },
+    { x: BASE_WIDTH - 62, y: 530, dir: -1 },
+    { x: BASE_WIDTH - 92, y: 344, dir: -1, launch: { dx: 445, dy: 265 } },
+  ];
+  const START_INTERVAL = 2000;
+  const MAX_MISSES = 5;
+  const CATCH_SCORE = 10;
+  const FISH_PENALTY = 500;
+  const MISS_DEPTH = 120; // how far below the screen an item counts as lost
+  const STAND_BASE_Y = BASE_HEIGHT - 52;
+  const STAND_HEIGHT = 136 * 1.02; // stand.png height at its scene scale
+  const ROBOT_X = BASE_WIDTH / 2;
+  const ROBOT_Y = STAND_BASE_Y - STAND_HEIGHT + 12;
+  const ROBOT_SCALE = 1.05;
+  const ROBOT_TILT = 0.05;
+  const AIM_EASE = 0.2;
+  const CART_HOLE_X = -140;
+  const CART_HOLE_Y = -90;
+  const CART_HOLE_WIDTH = 120;
+  const CART_HOLE_HEIGHT = 28;
+  const CART_RIM_WIDTH = 12; // cart wall either side of the opening, robot pixels
+  const CART_RIM_RESTITUTION = 0.45; // share of the speed into a rim a screw bounces back with
+  const FISH_UNLOCK_SCORE = 300; // score uses +10 per catch, matches ~30 catches
+  const FISH_INTERVAL_MIN = 7000;
+  const FISH_INTERVAL_RANGE = 5000;
+  const FISH_HIT_RADIUS = 120;
+  const FISH_UP_DURATION = 1.1;
+  const FISH_DOWN_DURATION = 1.05;
+  const FISH_LEAP_HEIGHT = 60; // apex of the leap above the cart opening
+  const MAGIC_COUNTDOWN = 30;
+  const MAGIC_CHANCE = 0.08;
+  // Consecutive catches raise the score multiplier; a miss or fish hit resets
+  // it. Each magic screw banks a shield that absorbs the next miss.
+  const STREAK_TIERS = [
+    { at: 10, multiplier: 2 },
+    { at: 25, multiplier: 3 },
+    { at: 50, multiplier: 4 },
+  ];
+  const STREAK_MAGIC_SHIELDS = 1;
+
+  // Falling item registry. Each type declares its sprite (key, scale and an
+  // optional tint for the renderers), how it flies (`speed` runs the normal
+  // launch arc faster or slower, `jitter` scales the level's launch jitter),
+  // what a catch is worth (`points` x catchScore, 0 for no score or streak)
+  // and its spawn `weight` once the score reaches `unlockScore`. onCatch and
+  // onMiss get the sim's item actions; without them a catch ticks the magic
+  // countdown and a miss costs a life. `avoid` marks items the player should
+  // let fall. Levels may override the numbers under `items.<type>`. Magic
+  // screws keep their own spawn rules (weight 0 here).
+  const ITEM_TYPES = {
+    screw: { sprite: 'screw', scale: 0.5, speed: 1, jitter: 1, points: 1, weight: 1, unlockScore: 0 },
+    magic: {
+      sprite: 'screwMagic',
+      scale: 0.54,
+      tint: 0x6de7ff,
+      alpha: 0.92,
+      speed: 1,
+      jitter: 1,
+      points: 1,
+      weight: 0,
+      unlockScore: 0,
+      onCatch: (actions) => actions.collectMagic(),
+    },
+    // heavy: worth more, comes in fast on a tighter line
+    gear: { sprite: 'gear', scale: 0.55, speed: 1.3, jitter: 0.5, points: 3, weight: 0.15, unlockScore: 200 },
+    bomb: {
+      sprite: 'bomb',
+      scale: 0.55,
+      speed: 1,
+      jitter: 1.2,
+      points: 0,
+      penalty: 100,
+      avoid: true,
+      weight: 0.1,
+      unlockScore: 400,
+      onCatch: (actions, rules, item) => actions.explode(item, rules.penalty),
+      onMiss: (actions, rules, item) => actions.drop(item),
+    },
+    slowmo: {
+      sprite: 'slowmo',
+      scale: 0.5,
+      speed: 0.9,
+      jitter: 1,
+      points: 1,
+      weight: 0.03,
+      unlockScore: 300,
+      duration: 4, // seconds of real time
+      timeScale: 0.5,
+      onCatch: (actions, rules) => {
+        actions.tickMagicCountdown();
+        actions.slowDown(rules.duration, rules.timeScale);
+      },
+      onMiss: (actions, rules, item) => actions.drop(item),
+    },
+    // absorbs the next fish that hits the cart
+    shield: {
+      sprite: 'shield',
+      scale: 0.5,
+      speed: 1,
+      jitter: 1,
+      points: 1,
+      weight: 0.03,
+      unlockScore: 300,
+      onCatch: (actions) => {
+        actions.tickMagicCountdown();
+        actions.raiseShield();
+      },
+      onMiss: (actions, rules, item) => actions.drop(item),
+    },
+  };
+
+  // Game mode rules (see game.modes.js); these defaults are the classic
+  // endless game. timeLimit ends the run after that many ms, missesEnd ends
+  // it at maxMisses, countMisses off turns missed screws into harmless
+  // drops, missPenalty costs points per miss, fish off keeps fish away,
+  // fixedInterval pins the spawn interval (ms) and fixedSchedule draws every
+  // spawn and fish from its own seeded stream, so the Nth screw and the Nth
+  // fish are the same for everyone playing that seed.
+  const MODE_RULES = {
+    id: 'classic',
+    timeLimit: 0,
+    missesEnd: true,
+    countMisses: true,
+    missPenalty: 0,
+    fish: true,
+    fixedInterval: 0,
+    fixedSchedule: false,
+  };
+  const FISH_STREAM = 1;
+  const SPAWN_STREAM = 2;
+
+  const DEFAULT_CONFIG = {
+    levelName: 'Normal',
+    width: BASE_WIDTH,
+    height: BASE_HEIGHT,
+    gravity: GRAVITY,
+    launch: LAUNCH,
+    spawnPoints: SPAWN_POINTS,
+    startInterval: START_INTERVAL,
+    maxMisses: MAX_MISSES,
+    catchScore: CATCH_SCORE,
+    fishPenalty: FISH_PENALTY,
+    missDepth: MISS_DEPTH,
+    robot: {
+      x: ROBOT_X,
+      y: ROBOT_Y,
+      scale: ROBOT_SCALE,
+      tilt: ROBOT_TILT,
+      aimEase: AIM_EASE,
+      cartHole: { x: CART_HOLE_X, y: CART_HOLE_Y, width: CART_HOLE_WIDTH, height: CART_HOLE_HEIGHT },
+      cartRim: { width: CART_RIM_WIDTH, restitution: CART_RIM_RESTITUTION },
+    },
+    magic: { chance: MAGIC_CHANCE, countdown: MAGIC_COUNTDOWN },
+    streak: { tiers: STREAK_TIERS, magicShields: STREAK_MAGIC_SHIELDS },
+    items: {}, // per-type overrides of ITEM_TYPES numbers
+    mode: MODE_RULES,
+    fish: {
+      unlockScore: FISH_UNLOCK_SCORE,
+      intervalMin: FISH_INTERVAL_MIN,
+      intervalRange: FISH_INTERVAL_RANGE,
+      hitRadius: FISH_HIT_RADIUS,
+      upDuration: FISH_UP_DURATION,
+      downDuration: FISH_DOWN_DURATION,
+      leapHeight: FISH_LEAP_HEIGHT,
+    },
+    intellect: {
+      minInterval: 250,
+      maxInterval: 2500,
+      waveRelaxationBoost: 120,
+      fishRelaxationBoost: 200,
+      relaxationHeadroom: 200,
+      minimumRelaxationCap: 900,
+      relaxationTighteningScore: 120,
+      relaxationEntryEpsilon: 20,
+      waveScoreStep: 25,
+    },
+  };
+
+  const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+  // mulberry32: tiny, fast and identical in every JS engine.
+  function createRng(seed) {
+    let s = seed >>> 0;
+    const next = () => {
+      s = (s + 0x6d2b79f5) >>> 0;
+      let t = s;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.range = (min, max) => next() * (max - min) + min;
+    return next;
+  }
+
+  // Highest tier reached by `streak`; tiers are sorted by `at`.
+  function streakMultiplier(streak, rules = DEFAULT_CONFIG.streak) {
+    return rules.tiers.reduce((multiplier, tier) => (streak >= tier.at ? tier.multiplier : multiplier), 1);
+  }
+
+  // ITEM_TYPES with a config's `items` overrides applied.
+  function resolveItemTypes(config = DEFAULT_CONFIG) {
+    const overrides = config.items || {};
+    return Object.keys(ITEM_TYPES).reduce((types, type) => ({ ...types, [type]: { ...ITEM_TYPES[type], ...(overrides[type] || {}) } }), {});
+  }
+
+  // Weighted pick among the types unlocked at `score`. Draws from `rng` only
+  // when there is a choice, so runs that never unlock extra types replay the
+  // same spawns they always did.
+  function pickItemType(rng, score, types) {
+    const open = Object.keys(types).filter((type) => types[type].weight > 0 && score >= types[type].unlockScore);
+    if (open.length <= 1) return open[0] || 'screw';
+    const total = open.reduce((sum, type) => sum + types[type].weight, 0);
+    let roll = rng() * total;
+    return open.find((type) => {
+      roll -= types[type].weight;
+      return roll < 0;
+    }) || open[open.length - 1];
+  }
+
+  function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  // Simplified SpawnScrewIntellect
+  function createIntellect(settings = DEFAULT_CONFIG.intellect) {
+    return {
+      ...settings,
+      nextRelaxationScore: settings.waveScoreStep,
+      bestDifficultyInterval: START_INTERVAL,
+      pendingRelaxations: 0,
+      reset(spawnInterval) {
+        this.nextRelaxationScore = this.waveScoreStep;
+        this.pendingRelaxations = 0;
+        this.bestDifficultyInterval = spawnInterval;
+      },
+      trigger(state) {
+        let { spawnInterval } = state;
+        if (spawnInterval > 500) {
+          spawnInterval = Math.max(this.minInterval, spawnInterval - 0.96);
+        } else {
+          spawnInterval = Math.max(this.minInterval, spawnInterval - 0.08);
+        }
+        spawnInterval = this.maybeRelax(spawnInterval, state.score);
+        this.bestDifficultyInterval = Math.min(this.bestDifficultyInterval, spawnInterval);
+        state.spawnInterval = spawnInterval;
+      },
+      maybeRelax(spawnInterval, score) {
+        if (score < this.nextRelaxationScore) return spawnInterval;
+        if (spawnInterval > this.bestDifficultyInterval + this.relaxationEntryEpsilon) return spawnInterval;
+        const eased = spawnInterval + this.waveRelaxationBoost;
+        const capped = Math.min(this.relaxationCeiling(score), eased);
+        this.nextRelaxationScore += this.waveScoreStep;
+        this.pendingRelaxations += 1;
+        return Math.max(spawnInterval, capped);
+      },
+      consumeRelaxation() {
+        if (this.pendingRelaxations > 0) {
+          this.pendingRelaxations -= 1;
+          return true;
+        }
+        return false;
+      },
+      applyFishRelaxation(state) {
+        if (state.spawnInterval > this.bestDifficultyInterval + this.relaxationEntryEpsilon) return;
+        const boosted = state.spawnInterval + this.fishRelaxationBoost;
+        const capped = Math.min(this.relaxationCeiling(state.score), boosted);
+        state.spawnInterval = Math.max(state.spawnInterval, capped);
+      },
+      relaxationCeiling(score) {
+        const scoreFactor = Math.min(1, score / this.relaxationTighteningScore);
+        const scoreCap = this.maxInterval - (this.maxInterval - this.minimumRelaxationCap) * scoreFactor;
+        const progressCap = Math.max(this.minInterval, this.bestDifficultyInterval + this.relaxationHeadroom);
+        return Math.min(scoreCap, progressCap);
+      },
+    };
+  }
+
+  function quadPoint(p0, p1, p2, t) {
+    const inv = 1 - t;
+    const x = inv * inv * p0.x + 2 * inv * t * p1.x + t * t * p2.x;
+    const y = inv * inv * p0.y + 2 * inv * t * p1.y + t * t * p2.y;
+    return { x, y };
+  }
+
+  function createSim(options = {}) {
+    const config = options.config || DEFAULT_CONFIG;
+    const seed = options.seed === undefined ? randomSeed() : options.seed >>> 0;
+    const rng = createRng(seed);
+    const intellect = createIntellect(config.intellect);
+    const itemTypes = resolveItemTypes(config);
+    const mode = { ...MODE_RULES, ...(config.mode || {}) };
+    const listeners = {};
+    let nextItemId = 1;
+    let accumulator = 0;
+    let floorReached = false;
+    let fishCount = 0;
+
+    const state = {
+      tick: 0,
+      clock: 0, // ticks of game time; slow motion advances it by less than 1
+      time: 0, // simulated milliseconds since the run started
+      timeScale: 1,
+      slowTicks: 0, // real ticks of slow motion left
+      fishShield: false,
+      score: 0,
+      misses: 0,
+      spawnInterval: mode.fixedInterval || config.startInterval,
+      lastSpawnTime: 0,
+      playing: true,
+      fishUnlocked: false,
+      magicCountdown: 0,
+      forceMagic: false,
+      streak: 0,
+      multiplier: 1,
+      streakShields: 0,
+      aimTarget: -1,
+      aimBias: -1,
+      nextFishAt: 0,
+      fishWindowClosed: false,
+    };
+
+    const stats = {
+      catches: 0,
+      misses: 0,
+      fishHits: 0,
+      magicCollected: 0,
+      bombHits: 0,
+      longestStreak: 0,
+      bestMultiplier: 1,
+    };
+
+    const sim = {
+      seed,
+      config,
+      state,
+      stats,
+      intellect,
+      itemTypes,
+      items: [],
+      fish: null,
+      on,
+      off,
+      setAim,
+      finish,
+      step,
+      advance,
+      cartBounds,
+      robotPose,
+      summary,
+    };
+
+    state.nextFishAt = rng.range(config.fish.intervalMin, config.fish.intervalMin + config.fish.intervalRange);
+    intellect.reset(state.spawnInterval);
+
+    function on(type, fn) {
+      (listeners[type] = listeners[type] || []).push(fn);
+      return sim;
+    }
+
+    function off(type, fn) {
+      if (!listeners[type]) return sim;
+      listeners[type] = listeners[type].filter((l) => l !== fn);
+      return sim;
+    }
+
+    function emit(type, payload) {
+      (listeners[type] || []).forEach((fn) => fn(payload, sim));
+    }
+
+    // The shared run rng, or with fixedSchedule a fresh one for entry
+    // `index` of `stream` so earlier play cannot shift later draws.
+    function streamRng(stream, index) {
+      if (!mode.fixedSchedule) return rng;
+      return createRng((seed ^ Math.imul(index + 1, 0x9e3779b1) ^ Math.imul(stream, 0x85ebca6b)) >>> 0);
+    }
+
+    // -1 keeps the cart on the left conveyors, 1 swings it to the right.
+    function setAim(target) {
+      state.aimTarget = target >= 0 ? 1 : -1;
+    }
+
+    // Ends the run on the player's request, for modes where nothing else does.
+    function finish() {
+      if (state.playing) endGame();
+    }
+
+    // The robot faces left by default; aimBias mirrors it through a turn.
+    function robotPose() {
+      const { robot } = config;
+      return {
+        x: robot.x,
+        y: robot.y,
+        scaleX: robot.scale * -state.aimBias,
+        scaleY: robot.scale,
+        rotation: state.aimBias * robot.tilt,
+      };
+    }
+
+    function cartBounds() {
+      const { cartHole } = config.robot;
+      const pose = robotPose();
+      const lx = cartHole.x * pose.scaleX;
+      const ly = cartHole.y * pose.scaleY;
+      const cos = Math.cos(pose.rotation);
+      const sin = Math.sin(pose.rotation);
+      const width = cartHole.width * Math.abs(pose.scaleX);
+      const height = cartHole.height * pose.scaleY;
+      const cx = pose.x + lx * cos - ly * sin;
+      const cy = pose.y + lx * sin + ly * cos;
+      return { x: cx - width / 2, y: cy - height / 2, width, height, centerX: cx, centerY: cy };
+    }
+
+    // Plain numbers describing the run so far; safe to JSON.stringify.
+    function summary() {
+      return {
+        seed,
+        score: state.score,
+        catches: stats.catches,
+        misses: stats.misses,
+        fishHits: stats.fishHits,
+        magicCollected: stats.magicCollected,
+        bombHits: stats.bombHits,
+        longestStreak: stats.longestStreak,
+        bestMultiplier: stats.bestMultiplier,
+        duration: Math.round(state.time),
+      };
+    }
+
+    function advance(seconds) {
+      accumulator += Math.min(MAX_FRAME_TIME, Math.max(0, seconds));
+      let steps = 0;
+      while (accumulator >= FIXED_DT) {
+        accumulator -= FIXED_DT;
+        step();
+        steps += 1;
+      }
+      return steps;
+    }
+
+    function step() {
+      if (!state.playing) return;
+      const dt = FIXED_DT * state.timeScale;
+      state.tick += 1;
+      state.clock += state.timeScale;
+      state.time = state.clock * FIXED_DT * 1000;
+      const now = state.time;
+      if (mode.timeLimit && now >= mode.timeLimit) {
+        emit('timeUp', { time: now });
+        endGame();
+        return;
+      }
+      if (state.slowTicks > 0) {
+        state.slowTicks -= 1;
+        if (state.slowTicks === 0) {
+          state.timeScale = 1;
+          emit('slowmoEnd', {});
+        }
+      }
+
+      const dir = state.aimTarget >= 0 ? 1 : -1;
+      state.aimBias += (dir - state.aimBias) * config.robot.aimEase;
+
+      const { cartHole, cartRim } = config.robot;
+      const frame = cartFrame(robotPose(), cartHole, cartRim.width);
+      const g = config.gravity * dt;
+      sim.items.slice().forEach((item) => {
+        if (!state.playing) return;
+        const from = { x: item.x, y: item.y };
+        item.vy += g * item.gravity;
+        item.x += item.vx * dt;
+        item.y += item.vy * dt;
+
+        const contact = collideItem(frame, from, item, { restitution: cartRim.restitution });
+        if (contact === 'catch') {
+          removeItem(item);
+          handleCatch(item);
+        } else if (contact === 'rim') {
+          emit('rimBounce', { item });
+        } else if (item.y > config.height + config.missDepth) {
+          removeItem(item);
+          handleMiss(item);
+        }
+      });
+      if (!state.playing) return;
+
+      // fish unlock once score reached
+      if (!state.fishUnlocked && mode.fish && state.score >= config.fish.unlockScore) {
+        state.fishUnlocked = true;
+        state.nextFishAt = now + streamRng(FISH_STREAM, 0).range(config.fish.intervalMin * 0.5, config.fish.intervalMin + config.fish.intervalRange);
+      }
+      maybeSpawnFish(now);
+
+      if (now - state.lastSpawnTime > state.spawnInterval) {
+        spawnItem();
+        state.lastSpawnTime = now;
+        if (!mode.fixedInterval) intellect.trigger(state);
+        if (!floorReached && state.spawnInterval <= intellect.minInterval) {
+          floorReached = true;
+          emit('floorReached', { interval: state.spawnInterval });
+        }
+      }
+
+      updateFish(dt);
+    }
+
+    function removeItem(item) {
+      sim.items = sim.items.filter((i) => i !== item);
+    }
+
+    function spawnItem() {
+      const draw = streamRng(SPAWN_STREAM, nextItemId);
+      const points = config.spawnPoints;
+      const spawn = points[Math.floor(draw() * points.length)];
+      const launch = spawn.launch || config.launch;
+      const type = nextSpawnType(draw);
+      const rules = itemTypes[type];
+      const jitter = config.launch.jitter * rules.jitter;
+      // same arc at `speed` times the pace: velocity * speed, gravity * speed²
+      const item = {
+        id: nextItemId++,
+        type,
+        x: spawn.x,
+        y: spawn.y,
+        vx: spawn.dir * (launch.dx + draw.range(-jitter, jitter)) * rules.speed,
+        vy: -(launch.dy + draw.range(-jitter, jitter)) * rules.speed,
+        gravity: rules.speed * rules.speed,
+      };
+      sim.items.push(item);
+      emit('spawn', { item });
+    }
+
+    function nextSpawnType(draw) {
+      if (state.forceMagic && state.misses > 0) {
+        state.forceMagic = false;
+        state.magicCountdown = config.magic.countdown;
+        return 'magic';
+      }
+      if (state.misses > 0 && draw() < config.magic.chance) {
+        return 'magic';
+      }
+      return pickItemType(draw, state.score, itemTypes);
+    }
+
+    // What registry onCatch / onMiss handlers may do to the run.
+    const itemActions = {
+      tickMagicCountdown() {
+        if (state.misses === 0) return;
+        state.magicCountdown = Math.max(0, state.magicCountdown - 1);
+        if (state.magicCountdown === 0) {
+          state.forceMagic = true;
+        }
+      },
+      collectMagic() {
+        stats.magicCollected += 1;
+        state.streakShields = Math.min(config.streak.magicShields, state.streakShields + 1);
+        // recover one miss and reward a small bonus
+        state.misses = Math.max(0, state.misses - 1);
+        state.magicCountdown = config.magic.countdown;
+      },
+      miss: (item) => missItem(item), // costs a life and the streak
+      // the item fell without costing anything
+      drop: (item) => emit('drop', { item }),
+      explode(item, penalty) {
+        state.score = Math.max(0, state.score - penalty);
+        state.misses += 1;
+        stats.bombHits += 1;
+        breakStreak();
+        requestMagicGuarantee();
+        emit('bombHit', { item, penalty });
+        checkMissLimit();
+      },
+      slowDown(seconds, timeScale) {
+        state.timeScale = timeScale;
+        state.slowTicks = Math.round(seconds / FIXED_DT);
+        emit('slowmo', { seconds, timeScale });
+      },
+      raiseShield() {
+        state.fishShield = true;
+        emit('shield', {});
+      },
+    };
+
+    // Score and streak are shared by every scoring type; anything else a
+    // catch does comes from the item's registry entry.
+    function handleCatch(item) {
+      const rules = itemTypes[item.type];
+      let points = 0;
+      if (rules.points > 0) {
+        state.streak += 1;
+        state.multiplier = streakMultiplier(state.streak, config.streak);
+        points = config.catchScore * rules.points * state.multiplier;
+        state.score += points;
+        stats.catches += 1;
+        stats.longestStreak = Math.max(stats.longestStreak, state.streak);
+        stats.bestMultiplier = Math.max(stats.bestMultiplier, state.multiplier);
+      }
+      if (rules.onCatch) {
+        rules.onCatch(itemActions, rules, item);
+      } else {
+        itemActions.tickMagicCountdown();
+      }
+      if (points > 0) emit('catch', { item, points, multiplier: state.multiplier });
+    }
+
+    function handleMiss(item) {
+      const rules = itemTypes[item.type];
+      if (rules.onMiss) {
+        rules.onMiss(itemActions, rules, item);
+      } else {
+        missItem(item);
+      }
+    }
+
+    function missItem(item) {
+      if (!mode.countMisses) {
+        breakStreak();
+        emit('drop', { item });
+        return;
+      }
+      state.score = Math.max(0, state.score - mode.missPenalty);
+      state.misses += 1;
+      stats.misses += 1;
+      if (state.streakShields > 0) {
+        state.streakShields -= 1;
+        emit('streakSaved', { streak: state.streak, shields: state.streakShields });
+      } else {
+        breakStreak();
+      }
+      requestMagicGuarantee();
+      emit('miss', { item });
+      checkMissLimit();
+    }
+
+    function checkMissLimit() {
+      if (mode.missesEnd && state.misses >= config.maxMisses) {
+        endGame();
+      }
+    }
+
+    function breakStreak() {
+      const { streak } = state;
+      state.streak = 0;
+      state.multiplier = 1;
+      if (streak > 0) emit('streakBreak', { streak });
+    }
+
+    function requestMagicGuarantee() {
+      if (state.misses > 0) {
+        state.magicCountdown = config.magic.countdown;
+        state.forceMagic = false;
+      } else {
+        state.magicCountdown = 0;
+      }
+    }
+
+    function endGame() {
+      state.playing = false;
+      sim.items = [];
+      sim.fish = null;
+      emit('gameOver', { state });
+    }
+
+    function maybeSpawnFish(now) {
+      if (!state.fishUnlocked) return;
+      if (sim.fish) return;
+      if (now < state.nextFishAt) return;
+      spawnFish(now);
+    }
+
+    function spawnFish(now) {
+      const { width, height } = config;
+      fishCount += 1;
+      const draw = streamRng(FISH_STREAM, fishCount);
+      const side = draw() < 0.5 ? -1 : 1;
+      const start = { x: side === -1 ? 82 : width - 82, y: height - 90 };
+      const cart = cartBounds();
+      const targetX = clamp(side === -1 ? Math.min(cart.centerX, width * 0.49) : Math.max(cart.centerX, width * 0.51), width * 0.22, width * 0.78);
+      const targetY = cart.y - config.fish.leapHeight;
+      const target = { x: targetX, y: targetY };
+      const splash = { x: start.x + (side === -1 ? 96 : -96), y: height - 24 };
+
+      sim.fish = {
+        side,
+        phase: 'up',
+        t: 0,
+        x: start.x,
+        y: start.y,
+        start,
+        target,
+        splash,
+        controlUp: { x: start.x + (targetX - start.x) * 0.6, y: targetY + 220 },
+        controlDown: { x: targetX, y: targetY - 140 },
+        durationUp: config.fish.upDuration,
+        durationDown: config.fish.downDuration,
+      };
+      state.fishWindowClosed = false;
+      state.nextFishAt = now + draw.range(config.fish.intervalMin, config.fish.intervalMin + config.fish.intervalRange);
+      emit('fishSpawn', { fish: sim.fish });
+    }
+
+    function updateFish(dt) {
+      const f = sim.fish;
+      if (!f) return;
+      const duration = f.phase === 'up' ? f.durationUp : f.durationDown;
+      f.t += dt / duration;
+      let pos;
+      if (f.phase === 'up') {
+        pos = quadPoint(f.start, f.controlUp, f.target, Math.min(1, f.t));
+        f.x = pos.x;
+        f.y = pos.y;
+        checkFishCatchWindow(pos);
+        if (sim.fish && f.t >= 1) {
+          f.phase = 'down';
+          f.t = 0;
+        }
+      } else {
+        pos = quadPoint(f.target, f.controlDown, f.splash, Math.min(1, f.t));
+        f.x = pos.x;
+        f.y = pos.y;
+        if (f.t >= 1 || pos.y > config.height + 20) {
+          disposeFish(false);
+        }
+      }
+    }
+
+    function checkFishCatchWindow(pos) {
+      const cart = cartBounds();
+      const cartTop = cart.centerY - cart.height * 0.5;
+      if (pos.y < cartTop - 36) {
+        state.fishWindowClosed = true;
+        return;
+      }
+      if (state.fishWindowClosed) return;
+      if (pos.y <= cartTop + 10) {
+        const dx = pos.x - cart.centerX;
+        const dy = pos.y - cart.centerY;
+        const dist = Math.hypot(dx, dy);
+        const withinCart = Math.abs(dx) < cart.width / 2;
+        if (dist <= config.fish.hitRadius && withinCart) {
+          disposeFish(true);
+        }
+      }
+    }
+
+    function disposeFish(hitCart) {
+      const fish = sim.fish;
+      if (!fish) return;
+      sim.fish = null;
+      state.fishWindowClosed = false;
+      if (hitCart && state.fishShield) {
+        state.fishShield = false;
+        emit('fishBlocked', { fish });
+      } else if (hitCart) {
+        state.score = Math.max(0, state.score - config.fishPenalty);
+        state.misses += 1;
+        stats.fishHits += 1;
+        breakStreak();
+        requestMagicGuarantee();
+        intellect.applyFishRelaxation(state);
+        emit('fishHit', { fish });
+        checkMissLimit();
+      } else {
+        emit('fishSplash', { fish });
+      }
+    }
+
+    return sim;
+  }
+
+  return {
+    FIXED_DT,
+    DEFAULT_CONFIG,
+    MODE_RULES,
+    createRng,
+    randomSeed,
+    createIntellect,
+    createSim,
+    quadPoint,
+    streakMultiplier,
+    ITEM_TYPES,
+    resolveItemTypes,
+    pickItemType,
+  };
+});
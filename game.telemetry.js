@@ -0,0 +1,256 @@
+// Diagnostics for support requests. A ring buffer keeps the last few hundred
+// game events (catches, misses, fish with their curves, the cart bounds and
+// tilt at each fish hit, difficulty changes) in memory; the player can save
+// it as JSON from the settings panel and attach it to an email. Nothing is
+// stored or sent anywhere else. The optional overlay (the debug key, or
+// ?debug in the URL) draws the cart hole, the fish curve and hit radius, and
+// lists FPS and the difficulty controller's numbers. Its text is for bug
+// reports, so it stays in English.
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotTelemetry = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  const LOG_FORMAT = 'catchbot-events';
+  const LOG_VERSION = 1;
+  const LOG_CAPACITY = 500;
+  const FPS_WINDOW = 1000; // ms of frames averaged into the FPS figure
+  const SIM_EVENTS = [
+    'spawn', 'catch', 'rimBounce', 'miss', 'drop', 'streakSaved', 'streakBreak', 'bombHit', 'slowmo', 'shield',
+    'fishSpawn', 'fishHit', 'fishBlocked', 'fishSplash', 'floorReached', 'timeUp', 'gameOver',
+  ];
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const point = (p) => (p ? { x: round(p.x), y: round(p.y) } : null);
+  const rect = (r) => ({ x: round(r.x), y: round(r.y), width: round(r.width), height: round(r.height) });
+
+  function debugRequested(search = (globalThis.location && globalThis.location.search) || '') {
+    return new URLSearchParams(search).has('debug');
+  }
+
+  // Fixed-size log: once full, each new entry replaces the oldest.
+  function createEventLog({ capacity = LOG_CAPACITY, now = () => Date.now() } = {}) {
+    const buffer = new Array(capacity);
+    const startedAt = now();
+    let next = 0;
+    let total = 0;
+
+    function record(type, data = {}) {
+      buffer[next] = { t: now() - startedAt, type, ...data };
+      next = (next + 1) % capacity;
+      total += 1;
+    }
+
+    function entries() {
+      if (total < capacity) return buffer.slice(0, total);
+      return [...buffer.slice(next), ...buffer.slice(0, next)];
+    }
+
+    function clear() {
+      next = 0;
+      total = 0;
+    }
+
+    // The export file: `dropped` counts entries the ring has overwritten.
+    function toJSON(context = {}) {
+      return {
+        format: LOG_FORMAT,
+        version: LOG_VERSION,
+        startedAt: new Date(startedAt).toISOString(),
+        exportedAt: new Date(now()).toISOString(),
+        capacity,
+        dropped: Math.max(0, total - capacity),
+        context,
+        events: entries(),
+      };
+    }
+
+    return { record, entries, clear, toJSON, size: () => Math.min(total, capacity) };
+  }
+
+  // The numbers the overlay shows for one sim, in sim coordinates.
+  function snapshot(sim) {
+    const { state, intellect, config, fish } = sim;
+    return {
+      tick: state.tick,
+      cartHole: sim.cartBounds(),
+      aimTarget: state.aimTarget,
+      aimBias: state.aimBias,
+      fishHitRadius: config.fish.hitRadius,
+      fish: fish && {
+        phase: fish.phase,
+        x: fish.x,
+        y: fish.y,
+        start: fish.start,
+        controlUp: fish.controlUp,
+        target: fish.target,
+        controlDown: fish.controlDown,
+        splash: fish.splash,
+      },
+      spawnInterval: state.spawnInterval,
+      bestDifficultyInterval: intellect.bestDifficultyInterval,
+      pendingRelaxations: intellect.pendingRelaxations,
+      items: sim.items.length,
+    };
+  }
+
+  // Overlay text lines for a snapshot.
+  function describe(snap, fps) {
+    const hole = snap.cartHole;
+    return [
+      `FPS ${Math.round(fps)}  tick ${snap.tick}  items ${snap.items}`,
+      `cartHole x ${Math.round(hole.x)} y ${Math.round(hole.y)} w ${Math.round(hole.width)} h ${Math.round(hole.height)}`,
+      `aim ${snap.aimTarget}  bias ${snap.aimBias.toFixed(2)}  FISH_HIT_RADIUS ${snap.fishHitRadius}`,
+      `spawnInterval ${snap.spawnInterval.toFixed(1)} ms`,
+      `bestDifficultyInterval ${snap.bestDifficultyInterval.toFixed(1)} ms`,
+      `pendingRelaxations ${snap.pendingRelaxations}`,
+      snap.fish ? `fish ${snap.fish.phase} at ${Math.round(snap.fish.x)}, ${Math.round(snap.fish.y)}` : 'fish none',
+    ];
+  }
+
+  // What gets logged for each sim event, besides its type, tick and game time.
+  const EVENT_DATA = {
+    spawn: ({ item }) => ({ item: item.type, id: item.id, at: point(item) }),
+    catch: ({ item, points, multiplier }) => ({ item: item.type, id: item.id, at: point(item), points, multiplier }),
+    rimBounce: ({ item }) => ({ item: item.type, id: item.id, at: point(item), velocity: { x: round(item.vx), y: round(item.vy) } }),
+    miss: ({ item }) => ({ item: item.type, id: item.id, at: point(item) }),
+    drop: ({ item }) => ({ item: item.type, id: item.id }),
+    streakSaved: ({ streak, shields }) => ({ streak, shields }),
+    streakBreak: ({ streak }) => ({ streak }),
+    bombHit: ({ item, penalty }) => ({ id: item.id, at: point(item), penalty }),
+    slowmo: ({ seconds, timeScale }) => ({ seconds, timeScale }),
+    fishSpawn: ({ fish }) => ({
+      side: fish.side,
+      start: point(fish.start),
+      controlUp: point(fish.controlUp),
+      target: point(fish.target),
+      controlDown: point(fish.controlDown),
+      splash: point(fish.splash),
+    }),
+    fishHit: ({ fish }) => ({ at: point(fish), t: round(fish.t) }),
+    fishBlocked: ({ fish }) => ({ at: point(fish) }),
+    fishSplash: ({ fish }) => ({ at: point(fish) }),
+    floorReached: ({ interval }) => ({ interval: round(interval) }),
+  };
+
+  // Logs one live sim into `log`. Every entry carries the cart hole and the
+  // tilt at that moment, which is what a "the fish hit me when I was tilted
+  // away" report needs. Returns a function that stops listening.
+  function watchSim(log, sim, { player = 0, run = null } = {}) {
+    log.record('run', { player, seed: sim.seed, run, level: sim.config.levelName || null });
+    const handlers = {};
+    SIM_EVENTS.forEach((type) => {
+      handlers[type] = (payload = {}) => {
+        const { state, intellect } = sim;
+        log.record(type, {
+          player,
+          tick: state.tick,
+          time: Math.round(state.time),
+          score: state.score,
+          misses: state.misses,
+          aimTarget: state.aimTarget,
+          aimBias: round(state.aimBias),
+          cartHole: rect(sim.cartBounds()),
+          spawnInterval: round(state.spawnInterval),
+          bestDifficultyInterval: round(intellect.bestDifficultyInterval),
+          pendingRelaxations: intellect.pendingRelaxations,
+          ...(EVENT_DATA[type] ? EVENT_DATA[type](payload) : {}),
+        });
+      };
+      sim.on(type, handlers[type]);
+    });
+    return () => SIM_EVENTS.forEach((type) => sim.off(type, handlers[type]));
+  }
+
+  // Frames per second over the last FPS_WINDOW ms; call frame() once per
+  // rendered frame.
+  function createFpsMeter({ now = () => globalThis.performance.now() } = {}) {
+    const times = [];
+    function frame() {
+      const at = now();
+      times.push(at);
+      while (times.length > 1 && at - times[0] > FPS_WINDOW) times.shift();
+    }
+    function fps() {
+      if (times.length < 2) return 0;
+      return ((times.length - 1) * 1000) / (times[times.length - 1] - times[0]);
+    }
+    return { frame, fps };
+  }
+
+  // The log and the overlay switch, shared by both renderers.
+  function createDiagnostics({ search, capacity } = {}) {
+    const log = createEventLog({ capacity });
+    const listeners = [];
+    let overlay = debugRequested(search);
+
+    function setOverlay(value) {
+      overlay = Boolean(value);
+      listeners.forEach((fn) => fn(overlay));
+    }
+
+    function onChange(fn) {
+      listeners.push(fn);
+      return () => {
+        const i = listeners.indexOf(fn);
+        if (i >= 0) listeners.splice(i, 1);
+      };
+    }
+
+    return {
+      log,
+      watch: (sim, options) => watchSim(log, sim, options),
+      overlay: () => overlay,
+      setOverlay,
+      toggleOverlay: () => setOverlay(!overlay),
+      onChange,
+    };
+  }
+
+  function downloadEventLog(log, context, doc = globalThis.document) {
+    const blob = new Blob([JSON.stringify(log.toJSON(context), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = doc.createElement('a');
+    link.href = url;
+    link.download = `catchbot-events-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.json`;
+    doc.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // Wires the Diagnostics rows of the settings panel: #debug-overlay and
+  // #debug-export. `context` adds the renderer and settings to the export.
+  function createDiagnosticsSettings(diagnostics, { doc = globalThis.document, context = () => ({}) } = {}) {
+    const box = doc.getElementById('debug-overlay');
+    const exportButton = doc.getElementById('debug-export');
+    if (box) {
+      box.checked = diagnostics.overlay();
+      box.addEventListener('change', () => diagnostics.setOverlay(box.checked));
+      diagnostics.onChange((on) => {
+        box.checked = on;
+      });
+    }
+    if (exportButton) {
+      exportButton.addEventListener('click', () => downloadEventLog(diagnostics.log, context(), doc));
+    }
+  }
+
+  return {
+    LOG_FORMAT,
+    LOG_CAPACITY,
+    debugRequested,
+    createEventLog,
+    snapshot,
+    describe,
+    watchSim,
+    createFpsMeter,
+    createDiagnostics,
+    downloadEventLog,
+    createDiagnosticsSettings,
+  };
+});
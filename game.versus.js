@@ -0,0 +1,89 @@
+// Local two-player versus. A match is two sims built from one seed, so both
+// players get the same screws off the same conveyors in the same order and,
+// with the versus rules in game.modes.js, the same fish at the same moment.
+// A player who runs out of misses is out; the match ends once both are done
+// and the higher score wins. Renderers draw one view per sim and route each
+// player's keys or half of the screen to setAim().
+
+(function (root, factory) {
+  const api = factory(
+    root.CatchbotSim || (typeof require === 'function' ? require('./game.sim.js') : null),
+    root.CatchbotI18n || (typeof require === 'function' ? require('./game.i18n.js') : null),
+  );
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatchbotVersus = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (CatchbotSim, CatchbotI18n) => {
+  const { t } = CatchbotI18n;
+  const MAX_PLAYERS = 2;
+
+  const playerName = (index) => t('versus.player', { number: index + 1 });
+
+  function createMatch({ config = CatchbotSim.DEFAULT_CONFIG, seed = CatchbotSim.randomSeed(), players = MAX_PLAYERS } = {}) {
+    const sims = [];
+    for (let i = 0; i < players; i += 1) sims.push(CatchbotSim.createSim({ config, seed }));
+    const listeners = {};
+    let over = false;
+
+    const match = {
+      seed: sims[0].seed,
+      sims,
+      on,
+      off,
+      setAim,
+      advance,
+      result,
+      isOver: () => over,
+    };
+
+    function on(type, fn) {
+      (listeners[type] = listeners[type] || []).push(fn);
+      return match;
+    }
+
+    function off(type, fn) {
+      if (!listeners[type]) return match;
+      listeners[type] = listeners[type].filter((l) => l !== fn);
+      return match;
+    }
+
+    function emit(type, payload) {
+      (listeners[type] || []).forEach((fn) => fn(payload, match));
+    }
+
+    function setAim(player, target) {
+      if (sims[player]) sims[player].setAim(target);
+    }
+
+    // Both sims get the same frame time, so they stay on the same tick.
+    function advance(seconds) {
+      sims.forEach((sim) => sim.advance(seconds));
+    }
+
+    // { winner, players }: `winner` is a player index, or -1 for a draw.
+    function result() {
+      const scores = sims.map((sim) => sim.state.score);
+      const top = Math.max(...scores);
+      const leaders = scores.filter((score) => score === top).length;
+      return {
+        winner: leaders === 1 ? scores.indexOf(top) : -1,
+        players: sims.map((sim, i) => ({ name: playerName(i), ...sim.summary() })),
+      };
+    }
+
+    sims.forEach((sim, player) => {
+      sim.on('gameOver', () => {
+        emit('playerOut', { player, score: sim.state.score });
+        if (over || sims.some((s) => s.state.playing)) return;
+        over = true;
+        emit('matchOver', result());
+      });
+    });
+
+    return match;
+  }
+
+  return { MAX_PLAYERS, playerName, createMatch };
+});
@@ -0,0 +1,120 @@
+// Offline support: precaches the support page, the game scripts, the vendored
+// renderers, fonts, level files and every asset, then serves them cache-first.
+// CACHE_VERSION and PRECACHE are written by `node tools/build-sw.js`; the
+// version is a hash of the files, so any change installs a new worker and the
+// page offers to reload (see game.pwa.js).
+
+/* BEGIN GENERATED */
+const CACHE_VERSION = 'b49922eeaccc';
+const PRECACHE = [
+  "Logo.png",
+  "Robot%20Support.png",
+  "assets/background.png",
+  "assets/bomb.png",
+  "assets/caterpillar_track.png",
+  "assets/fish.png",
+  "assets/gear.png",
+  "assets/robot.png",
+  "assets/robotBase.png",
+  "assets/robotBody.png",
+  "assets/robotCart.png",
+  "assets/robotEye.png",
+  "assets/robotEyeApple.png",
+  "assets/robotEyeLid.png",
+  "assets/robotHands.png",
+  "assets/robotHeadLeft.png",
+  "assets/robotHeadLeftOi.png",
+  "assets/robotHeadLeftYea.png",
+  "assets/robotHeadRight.png",
+  "assets/robotHeadRightOi.png",
+  "assets/robotHeadRightYea.png",
+  "assets/robotLight.png",
+  "assets/screw-magic.png",
+  "assets/screw.png",
+  "assets/sfx/collect.wav",
+  "assets/sfx/miss.wav",
+  "assets/sfx/ouch.wav",
+  "assets/shield.png",
+  "assets/slowmo.png",
+  "assets/stand.png",
+  "assets/ui-pause.png",
+  "assets/ui-play.png",
+  "assets/ui-replay.png",
+  "assets/waterBack.png",
+  "assets/waterFront.png",
+  "fonts/roboto-cyrillic-300-normal.woff2",
+  "fonts/roboto-cyrillic-400-normal.woff2",
+  "fonts/roboto-cyrillic-700-normal.woff2",
+  "fonts/roboto-latin-300-normal.woff2",
+  "fonts/roboto-latin-400-normal.woff2",
+  "fonts/roboto-latin-700-normal.woff2",
+  "fonts/roboto.css",
+  "game.access.js",
+  "game.achievements.js",
+  "game.audio.js",
+  "game.boot.js",
+  "game.collision.js",
+  "game.config.js",
+  "game.fx.js",
+  "game.i18n.js",
+  "game.input.js",
+  "game.js",
+  "game.leaderboard.js",
+  "game.modes.js",
+  "game.phaser.js",
+  "game.pwa.js",
+  "game.replay.js",
+  "game.robot.js",
+  "game.sim.js",
+  "game.telemetry.js",
+  "game.versus.js",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "index.html",
+  "levels/easy.json",
+  "levels/hard.json",
+  "levels/normal.json",
+  "levels/schema.json",
+  "locales/en.json",
+  "locales/ru.json",
+  "manifest.webmanifest",
+  "vendor/phaser.min.js",
+  "vendor/pixi.min.js",
+];
+/* END GENERATED */
+
+const CACHE_PREFIX = 'catchbot-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+// The page asks a waiting worker to take over once the player accepts the update.
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(
+    caches.open(CACHE_NAME).then((cache) => cache.match(request, { ignoreSearch: true }).then((cached) => {
+      if (cached) return cached;
+      return fetch(request).catch((err) => {
+        if (request.mode === 'navigate') return cache.match('index.html');
+        throw err;
+      });
+    })),
+  );
+});
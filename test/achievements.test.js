@@ -0,0 +1,61 @@
+// Achievement checks in game.achievements.js against a headless sim. Run
+// with `node --test test/`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { MODE_RULES, createSim } = require('../game.sim.js');
+const { levelToConfig } = require('../game.config.js');
+const { createAchievements } = require('../game.achievements.js');
+
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+  };
+}
+
+// A level's sim with no fish and no scheduled spawns.
+function quietSim(levelId) {
+  const level = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'levels', `${levelId}.json`), 'utf8'));
+  const sim = createSim({ config: { ...levelToConfig(level), mode: { ...MODE_RULES, fish: false } }, seed: 1 });
+  sim.state.lastSpawnTime = Infinity;
+  return sim;
+}
+
+let nextId = 1000;
+
+function drop(sim, type, caught) {
+  const cart = sim.cartBounds();
+  const item = caught
+    ? { x: cart.centerX, y: cart.centerY - 20, vy: 200 }
+    : { x: 40, y: sim.config.height + sim.config.missDepth - 1, vy: 300 };
+  sim.items.push({ id: nextId++, type, vx: 0, gravity: 1, ...item });
+  for (let i = 0; i < 10 && sim.items.length; i += 1) sim.step();
+}
+
+// Misses `misses` screws, then catches magic screws until none are left.
+function comeback(levelId, misses) {
+  const tracker = createAchievements({ storage: memoryStorage() });
+  const sim = quietSim(levelId);
+  tracker.watch(sim);
+  for (let i = 0; i < misses; i += 1) drop(sim, 'screw', false);
+  while (sim.state.misses > 0) drop(sim, 'magic', true);
+  assert.equal(sim.state.playing, true);
+  return tracker.list().find((a) => a.id === 'comeback').unlockedAt !== null;
+}
+
+test('comeback is earned one miss from game over on every level', () => {
+  ['easy', 'normal', 'hard'].forEach((levelId) => {
+    const { maxMisses } = quietSim(levelId).config;
+    assert.equal(comeback(levelId, maxMisses - 1), true, levelId);
+  });
+});
+
+test('comeback needs more than a couple of misses on Normal', () => {
+  assert.equal(comeback('normal', 2), false);
+});
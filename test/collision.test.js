@@ -0,0 +1,74 @@
+// Swept cart collisions in game.collision.js, and through the sim at low
+// frame rates. Run with `node --test test/`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cartFrame, pointToScene, collideItem } = require('../game.collision.js');
+const { DEFAULT_CONFIG, createSim } = require('../game.sim.js');
+
+const HOLE = DEFAULT_CONFIG.robot.cartHole;
+const RIM = DEFAULT_CONFIG.robot.cartRim;
+const POSE = { x: 657, y: 500, scaleX: 1.05, scaleY: 1.05, rotation: -0.05 };
+const frame = cartFrame(POSE, HOLE, RIM.width);
+
+// An item that moved from frame point (ax, ay) to (bx, by) at `speed` along that line.
+function mover(ax, ay, bx, by, speed) {
+  const from = pointToScene(frame, ax, ay);
+  const to = pointToScene(frame, bx, by);
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const item = { x: to.x, y: to.y, vx: ((to.x - from.x) / length) * speed, vy: ((to.y - from.y) / length) * speed };
+  return { from, item };
+}
+
+test('a screw falling several thousand px/s across the opening in one step is caught', () => {
+  [3600, 6000, 20000].forEach((speed) => {
+    const dy = speed / 60;
+    const top = -frame.halfHeight - dy * 0.4;
+    const { from, item } = mover(0, top, 0, top + dy, speed);
+    assert.equal(collideItem(frame, from, item, RIM), 'catch', `${speed} px/s`);
+  });
+});
+
+test('an item landing on a rim top bounces up with less speed', () => {
+  const x = frame.halfWidth + frame.rimWidth / 2;
+  const { from, item } = mover(x, -frame.halfHeight - 10, x, -frame.halfHeight + 10, 600);
+  assert.equal(collideItem(frame, from, item, RIM), 'rim');
+  const bounced = { x: item.vx * frame.cos + item.vy * frame.sin, y: -item.vx * frame.sin + item.vy * frame.cos };
+  assert.ok(bounced.y < 0, 'moving away from the rim');
+  assert.ok(Math.abs(bounced.y) < 600, 'lost speed to restitution');
+});
+
+test('an item sliding in against a rim\'s outer side bounces off it', () => {
+  const outer = frame.halfWidth + frame.rimWidth;
+  const { from, item } = mover(outer + 20, 0, outer - 4, 4, 900);
+  assert.equal(collideItem(frame, from, item, RIM), 'rim');
+  const bounced = { x: item.vx * frame.cos + item.vy * frame.sin };
+  assert.ok(bounced.x > 0, 'pushed back out');
+});
+
+test('an item moving up passes through the cart', () => {
+  const { from, item } = mover(0, 40, 0, -40, 800);
+  assert.equal(collideItem(frame, from, item, RIM), null);
+});
+
+test('a robot turned edge-on has no opening', () => {
+  const edgeOn = cartFrame({ ...POSE, scaleX: 0 }, HOLE, RIM.width);
+  const from = pointToScene(edgeOn, 0, -40);
+  const item = { ...pointToScene(edgeOn, 0, 0), vx: 0, vy: 800 };
+  assert.equal(collideItem(edgeOn, from, item, RIM), null);
+});
+
+test('the sim catches a fast screw at 60, 15 and 4 fps', () => {
+  [1 / 60, 1 / 15, 1 / 4].forEach((frameTime) => {
+    const sim = createSim({ seed: 1 });
+    sim.state.lastSpawnTime = Infinity;
+    const cart = sim.cartBounds();
+    sim.items.push({ id: 999, type: 'screw', x: cart.centerX, y: cart.centerY - 200, vx: 0, vy: 4000, gravity: 1 });
+    let caught = false;
+    sim.on('catch', () => {
+      caught = true;
+    });
+    for (let t = 0; t < 0.25; t += frameTime) sim.advance(frameTime);
+    assert.ok(caught, `${Math.round(1 / frameTime)} fps`);
+  });
+});
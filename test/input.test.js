@@ -0,0 +1,138 @@
+// Gamepad polling in game.input.js, fed by a fake navigator.getGamepads()
+// and a frame scheduler the test runs by hand. Run with `node --test test/`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGamepadInput } = require('../game.input.js');
+
+const START = 9;
+const SELECT = 8;
+
+// A standard-mapping pad: `axes[0]` is the left stick, `buttons[i].pressed`.
+function fakePad(index = 0) {
+  return {
+    index,
+    connected: true,
+    axes: [0, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+  };
+}
+
+// The window the input listens on, the pads it sees and its pending frames.
+function harness(options = {}) {
+  const pads = [];
+  const listeners = {};
+  const frames = [];
+  const calls = [];
+  const target = {
+    addEventListener: (type, fn) => {
+      listeners[type] = fn;
+    },
+    removeEventListener: (type) => {
+      delete listeners[type];
+    },
+  };
+  const record = (name) => (value) => calls.push(value === undefined ? name : [name, value]);
+  const input = createGamepadInput({
+    target,
+    getGamepads: () => pads,
+    schedule: (fn) => frames.push(fn),
+    onAim: record('aim'),
+    onSwitch: record('switch'),
+    onPause: record('pause'),
+    onRestart: record('restart'),
+    onConnect: (pad) => calls.push(['connect', pad.index]),
+    onDisconnect: record('disconnect'),
+    ...options,
+  });
+  return {
+    input,
+    pads,
+    calls,
+    plug(pad) {
+      pads.push(pad);
+      listeners.gamepadconnected({ gamepad: pad });
+    },
+    unplug(pad) {
+      pads.splice(pads.indexOf(pad), 1);
+      listeners.gamepaddisconnected({ gamepad: pad });
+    },
+    // Runs the frames scheduled so far; returns how many there were.
+    frame() {
+      const due = frames.splice(0);
+      due.forEach((fn) => fn());
+      return due.length;
+    },
+  };
+}
+
+test('the left stick is dead inside the deadzone and scaled past it', () => {
+  const h = harness({ deadzone: 0.25 });
+  const pad = fakePad();
+  h.plug(pad);
+  pad.axes[0] = 0.2;
+  h.frame();
+  assert.equal(h.input.direction(), 0);
+  assert.deepEqual(h.calls, [['connect', 0]]);
+
+  pad.axes[0] = -0.625;
+  h.frame();
+  assert.equal(h.input.direction(), -0.5);
+  pad.axes[0] = 1;
+  h.frame();
+  assert.equal(h.input.direction(), 1);
+  assert.deepEqual(h.calls.slice(1), [['aim', -1], ['aim', 1]]);
+});
+
+test('a pad plugged in, swapped and pulled out is picked up and let go', () => {
+  const h = harness();
+  assert.equal(h.input.isConnected(), false);
+  assert.equal(h.frame(), 0, 'no polling without a pad');
+
+  const first = fakePad(0);
+  h.plug(first);
+  h.frame();
+  assert.equal(h.input.isConnected(), true);
+
+  const second = fakePad(1);
+  h.plug(second);
+  h.unplug(first);
+  assert.equal(h.input.isConnected(), true, 'the other pad takes over');
+
+  second.axes[0] = 1;
+  h.frame();
+  h.unplug(second);
+  assert.equal(h.input.isConnected(), false);
+  assert.equal(h.input.direction(), 0);
+  h.frame();
+  assert.equal(h.frame(), 0, 'polling stops once every pad is gone');
+  assert.deepEqual(h.calls, [['connect', 0], ['connect', 1], ['aim', 1], ['disconnect', 1]]);
+});
+
+test('Start and Select fire once per press', () => {
+  const h = harness();
+  const pad = fakePad();
+  h.plug(pad);
+  h.frame();
+  pad.buttons[START].pressed = true;
+  h.frame();
+  h.frame();
+  h.frame();
+  pad.buttons[START].pressed = false;
+  h.frame();
+  pad.buttons[START].pressed = true;
+  pad.buttons[SELECT].pressed = true;
+  h.frame();
+  h.frame();
+  assert.deepEqual(h.calls.slice(1), ['pause', 'pause', 'restart']);
+});
+
+test('a button held while the pad connects does not fire', () => {
+  const h = harness();
+  const pad = fakePad();
+  pad.buttons[START].pressed = true;
+  h.plug(pad);
+  h.frame();
+  h.frame();
+  assert.deepEqual(h.calls, [['connect', 0]]);
+});
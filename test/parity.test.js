@@ -0,0 +1,127 @@
+// Renderer parity: game.js (Pixi) and game.phaser.js both play a
+// single-player run through createRunDriver() in game.modes.js, fed with
+// prepareRun()'s config and seed. They differ only in what they pass it:
+// Pixi offers versus (maxPlayers 2) and records a replay, Phaser does
+// neither. So one seed, one frame timing and one set of key presses and
+// pauses must end both setups, and the replay of the Pixi run, with the
+// same score, misses and game-over tick.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CONFIG, createRng } = require('../game.sim.js');
+const { prepareRun, applyMode, createRunDriver } = require('../game.modes.js');
+const { createRecorder, createReplayPlayer } = require('../game.replay.js');
+
+const SEED = 20240611;
+const MAX_FRAMES = 60 * 60 * 4;
+
+function memoryStorage(mode) {
+  const items = { 'catchbot-mode': mode };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+  };
+}
+
+// Uneven frame times (ms), a key press every second or so and now and then
+// a pause of a few frames, the same for both setups. Key presses and frames
+// during a pause must not reach the sim.
+function session(seed) {
+  const rng = createRng(seed);
+  const frames = [];
+  let pausedFor = 0;
+  for (let i = 0; i < MAX_FRAMES; i += 1) {
+    if (!pausedFor && rng() < 0.005) pausedFor = 20;
+    frames.push({ delta: rng.range(8, 40), aim: rng() < 0.02 ? (rng() < 0.5 ? -1 : 1) : 0, paused: pausedFor > 0 });
+    pausedFor = Math.max(0, pausedFor - 1);
+  }
+  return frames;
+}
+
+// A renderer's run: restartGame() in game.js or GameScene.init() in
+// game.phaser.js, then its steer() and update() on every frame.
+function play({ mode, frames, speed, renderer }) {
+  const pixi = renderer === 'pixi';
+  const { run, config, seed } = prepareRun(DEFAULT_CONFIG, { storage: memoryStorage(mode), maxPlayers: pixi ? 2 : 1 });
+  const recorder = pixi ? createRecorder({ level: null, mode: run }) : null;
+  let paused = false;
+  const driver = createRunDriver({ config, seed: seed === undefined ? SEED : seed }, {
+    speed: () => speed,
+    isPaused: () => paused,
+    recorder,
+  });
+  const { sim } = driver;
+  let gameOverTick = null;
+  sim.on('gameOver', () => {
+    gameOverTick = sim.state.tick;
+  });
+  if (recorder) recorder.begin(sim);
+
+  for (let i = 0; i < frames.length && driver.sim.state.playing; i += 1) {
+    paused = frames[i].paused;
+    if (frames[i].aim) driver.steer(frames[i].aim);
+    driver.frame(frames[i].delta / 1000);
+  }
+  const outcome = { score: sim.state.score, misses: sim.state.misses, gameOverTick };
+  return recorder ? { ...outcome, log: recorder.toJSON() } : outcome;
+}
+
+// game.js: startReplay(log), stepped to the end of the log.
+function playReplay(log) {
+  const config = applyMode(DEFAULT_CONFIG, log.mode || { id: 'classic' });
+  let gameOverTick = null;
+  const watch = (sim) => sim.on('gameOver', () => {
+    gameOverTick = sim.state.tick;
+  });
+  const player = createReplayPlayer(log, { config, onSim: watch });
+  watch(player.sim());
+  while (player.stepFrame());
+  const sim = player.sim();
+  return { score: sim.state.score, misses: sim.state.misses, gameOverTick };
+}
+
+const CASES = [
+  { mode: 'classic', speed: 1 },
+  { mode: 'classic', speed: 0.5 },
+  { mode: 'timeAttack', speed: 1 },
+  { mode: 'zen', speed: 1 },
+  { mode: 'daily', speed: 1 },
+];
+
+CASES.forEach(({ mode, speed }) => {
+  test(`${mode} at speed ${speed} ends the same in both renderers and the replay`, () => {
+    const frames = session(SEED + speed * 1000);
+    const { log, ...pixi } = play({ mode, frames, speed, renderer: 'pixi' });
+    const phaser = play({ mode, frames, speed, renderer: 'phaser' });
+    assert.deepEqual(phaser, pixi);
+    assert.deepEqual(playReplay(log), pixi);
+    if (mode !== 'zen') assert.notEqual(pixi.gameOverTick, null, 'the session outlasts the run');
+  });
+});
+
+test('the driver ignores steering and frame time while paused or over', () => {
+  let paused = true;
+  const { config } = prepareRun(DEFAULT_CONFIG, { storage: memoryStorage('classic') });
+  const driver = createRunDriver({ config, seed: SEED }, { speed: () => 0.5, isPaused: () => paused });
+  driver.steer(1);
+  assert.equal(driver.frame(1 / 10), 0);
+  assert.equal(driver.sim.state.aimTarget, -1);
+
+  paused = false;
+  assert.equal(driver.frame(4 / 60), 2, 'slow speed halves the frame time');
+  driver.steer(1);
+  assert.equal(driver.sim.state.aimTarget, 1);
+
+  driver.sim.finish();
+  driver.steer(-1);
+  assert.equal(driver.frame(1 / 10), 0);
+  assert.equal(driver.sim.state.aimTarget, 1);
+});
+
+test('versus falls back to classic where the renderer cannot draw it', () => {
+  const storage = memoryStorage('versus');
+  assert.equal(prepareRun(DEFAULT_CONFIG, { storage }).run.id, 'classic');
+  assert.equal(prepareRun(DEFAULT_CONFIG, { storage, maxPlayers: 2 }).run.id, 'versus');
+});
@@ -0,0 +1,74 @@
+// Recording and playback in game.replay.js: a restart joins the current log
+// only while the level and mode stay the same, and every log plays back to
+// the runs it recorded. Run with `node --test test/`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_CONFIG, createSim } = require('../game.sim.js');
+const { applyMode } = require('../game.modes.js');
+const { levelToConfig } = require('../game.config.js');
+const { createRecorder, createReplayPlayer } = require('../game.replay.js');
+
+const CLASSIC = { id: 'classic' };
+const readLevel = (id) => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'levels', `${id}.json`), 'utf8'));
+
+// game.js: restartGame() for one player, then a few seconds of play.
+function createSession() {
+  let recorder = null;
+  let sim = null;
+  const logs = [];
+  return {
+    start(level, seed) {
+      if (!recorder || !sim || !sim.state.playing || !recorder.continues({ level, mode: CLASSIC })) {
+        recorder = createRecorder({ level, mode: CLASSIC });
+        logs.push(recorder);
+      }
+      sim = createSim({ config: applyMode(levelToConfig(level), CLASSIC), seed });
+      recorder.begin(sim);
+      for (let i = 0; i < 600 && sim.state.playing; i += 1) {
+        if (i % 45 === 0) {
+          sim.setAim(i % 90 === 0 ? 1 : -1);
+          recorder.aim(sim.state.aimTarget);
+        }
+        sim.step();
+      }
+      return sim.summary();
+    },
+    logs: () => logs.map((recorder) => recorder.toJSON()),
+  };
+}
+
+// game.js: watchReplay(log), stepped to the end of the log.
+function replayRuns(log) {
+  const config = applyMode(log.level ? levelToConfig(log.level) : DEFAULT_CONFIG, log.mode);
+  const runs = [];
+  const player = createReplayPlayer(log, {
+    config,
+    onSim: (sim) => {
+      if (runs[runs.length - 1] !== sim) runs.push(sim);
+    },
+  });
+  while (player.stepFrame());
+  return runs.map((sim) => sim.summary());
+}
+
+test('a restart on the same level joins the log, another level starts a new one', () => {
+  const easy = readLevel('easy');
+  const recorder = createRecorder({ level: easy, mode: CLASSIC });
+  assert.equal(recorder.continues({ level: readLevel('easy'), mode: CLASSIC }), true);
+  assert.equal(recorder.continues({ level: readLevel('hard'), mode: CLASSIC }), false);
+  assert.equal(recorder.continues({ level: easy, mode: { id: 'timeAttack' } }), false);
+  assert.equal(recorder.continues({ level: null, mode: CLASSIC }), false);
+});
+
+test('runs recorded across a level change play back as recorded', () => {
+  const session = createSession();
+  const live = [session.start(readLevel('easy'), 11), session.start(readLevel('easy'), 12), session.start(readLevel('hard'), 13)];
+  const logs = session.logs();
+  assert.equal(logs.length, 2, 'quitting to another level starts a new log');
+  assert.equal(logs[0].level.name, 'Easy');
+  assert.equal(logs[1].level.name, 'Hard');
+  assert.deepEqual(logs.flatMap(replayRuns), live);
+});
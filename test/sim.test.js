@@ -0,0 +1,119 @@
+// Headless checks of game.sim.js: scoring, misses, magic screw recovery and
+// the difficulty ramp. Run with `node --test test/`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CONFIG, MODE_RULES, createSim, createIntellect } = require('../game.sim.js');
+
+// No fish and no scheduled spawns: each test places its own items.
+const QUIET_CONFIG = { ...DEFAULT_CONFIG, mode: { ...MODE_RULES, fish: false } };
+
+function quietSim(seed = 1) {
+  const sim = createSim({ config: QUIET_CONFIG, seed });
+  sim.state.lastSpawnTime = Infinity;
+  return sim;
+}
+
+let nextId = 1000;
+
+// Drops an item straight into the cart opening and steps until it lands.
+function dropIntoCart(sim, type = 'screw') {
+  const cart = sim.cartBounds();
+  sim.items.push({ id: nextId++, type, x: cart.centerX, y: cart.centerY - 20, vx: 0, vy: 200, gravity: 1 });
+  for (let i = 0; i < 10 && sim.items.length; i += 1) sim.step();
+}
+
+// Drops an item past the screen edge, away from the cart.
+function dropPastCart(sim, type = 'screw') {
+  const y = sim.config.height + sim.config.missDepth - 1;
+  sim.items.push({ id: nextId++, type, x: 40, y, vx: 0, vy: 300, gravity: 1 });
+  for (let i = 0; i < 10 && sim.items.length; i += 1) sim.step();
+}
+
+test('a catch scores catchScore and builds the streak', () => {
+  const sim = quietSim();
+  const catches = [];
+  sim.on('catch', (payload) => catches.push(payload));
+  dropIntoCart(sim);
+  assert.equal(catches.length, 1);
+  assert.equal(sim.state.score, DEFAULT_CONFIG.catchScore);
+  assert.equal(sim.state.streak, 1);
+  assert.equal(sim.stats.catches, 1);
+});
+
+test('the streak multiplier kicks in at the first tier', () => {
+  const sim = quietSim();
+  const [tier] = DEFAULT_CONFIG.streak.tiers;
+  for (let i = 0; i < tier.at; i += 1) dropIntoCart(sim);
+  assert.equal(sim.state.multiplier, tier.multiplier);
+  const expected = DEFAULT_CONFIG.catchScore * ((tier.at - 1) + tier.multiplier);
+  assert.equal(sim.state.score, expected);
+});
+
+test('a miss costs a life and the streak, and maxMisses ends the run', () => {
+  const sim = quietSim();
+  let overAt = null;
+  sim.on('gameOver', () => {
+    overAt = sim.state.tick;
+  });
+  dropIntoCart(sim);
+  dropPastCart(sim);
+  assert.equal(sim.state.misses, 1);
+  assert.equal(sim.state.streak, 0);
+  for (let i = 1; i < DEFAULT_CONFIG.maxMisses; i += 1) dropPastCart(sim);
+  assert.equal(sim.state.misses, DEFAULT_CONFIG.maxMisses);
+  assert.equal(sim.state.playing, false);
+  assert.notEqual(overAt, null);
+});
+
+test('a magic screw gives a miss back and banks a streak shield', () => {
+  const sim = quietSim();
+  dropPastCart(sim);
+  dropPastCart(sim);
+  dropIntoCart(sim, 'magic');
+  assert.equal(sim.state.misses, 1);
+  assert.equal(sim.stats.magicCollected, 1);
+  assert.equal(sim.state.streakShields, DEFAULT_CONFIG.streak.magicShields);
+  dropIntoCart(sim);
+  dropPastCart(sim);
+  assert.equal(sim.state.streak, 2, 'the shield absorbs the miss');
+  assert.equal(sim.state.streakShields, 0);
+});
+
+test('the intellect shortens the interval and relaxes each score wave', () => {
+  const intellect = createIntellect();
+  const state = { spawnInterval: 2000, score: 0 };
+  intellect.reset(state.spawnInterval);
+  intellect.trigger(state);
+  assert.equal(state.spawnInterval, 2000 - 0.96);
+  assert.equal(intellect.bestDifficultyInterval, state.spawnInterval);
+
+  state.score = intellect.waveScoreStep;
+  const before = state.spawnInterval;
+  intellect.trigger(state);
+  assert.ok(state.spawnInterval > before, 'a wave eases the pace');
+  assert.equal(intellect.pendingRelaxations, 1);
+  assert.equal(intellect.nextRelaxationScore, intellect.waveScoreStep * 2);
+});
+
+test('each spawn steps the interval down from startInterval', () => {
+  const sim = createSim({ config: QUIET_CONFIG, seed: 7 });
+  let spawned = 0;
+  sim.on('spawn', () => {
+    spawned += 1;
+  });
+  while (spawned < 3) sim.step();
+  assert.equal(sim.state.spawnInterval, DEFAULT_CONFIG.startInterval - 0.96 * 3);
+});
+
+test('the same seed and steps give the same run', () => {
+  const run = () => {
+    const sim = createSim({ seed: 42 });
+    for (let i = 0; i < 60 * 60; i += 1) {
+      if (i % 90 === 0) sim.setAim(i % 180 === 0 ? 1 : -1);
+      sim.step();
+    }
+    return sim.summary();
+  };
+  assert.deepEqual(run(), run());
+});
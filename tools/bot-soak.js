@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+// Soak test: plays thousands of headless games with the scripted bot from
+// game.bot.js and reports score distribution, run length and how often fish
+// hits or magic screws decide a run. Game seeds are fixed (--seed + i), so the
+// same tree always gives the same report and --baseline can flag regressions
+// after a change to LAUNCH, GRAVITY or the cart hole.
+//
+//   node tools/bot-soak.js --games 2000 --json --out soak-baseline.json
+//   node tools/bot-soak.js --games 2000 --baseline soak-baseline.json
+
+const fs = require('fs');
+const path = require('path');
+const { playGame, DEFAULT_REACTION_TIME, DEFAULT_ERROR_RATE } = require('../game.bot.js');
+const { parseLevel, levelToConfig, PRESETS } = require('../game.config.js');
+
+const ROOT = path.join(__dirname, '..');
+const HISTOGRAM_BUCKETS = 10;
+// Report fields compared against --baseline; relative change beyond --tolerance fails.
+const CHECKED = ['meanScore', 'medianScore', 'meanDurationSeconds', 'catchRate', 'geometryMissesPerGame', 'fishDecidedShare', 'magicExtendedShare'];
+
+const USAGE = `Usage: node tools/bot-soak.js [options]
+
+  --games <n>           games to play (default 500)
+  --level <preset|file> easy, normal, hard or a level JSON path (default normal)
+  --reaction <ms>       bot reaction time (default ${DEFAULT_REACTION_TIME})
+  --error <0..1>        chance the bot misjudges a screw or fish (default ${DEFAULT_ERROR_RATE})
+  --max-minutes <n>     stop a game that is still running after this long (default 10)
+  --seed <n>            first game seed (default 1)
+  --json                print the report as JSON
+  --out <file>          write the report to a file instead of stdout
+  --baseline <file>     compare with an earlier --json report, exit 1 on regressions
+  --tolerance <0..1>    allowed relative change against the baseline (default 0.05)
+`;
+
+function fail(message) {
+  process.stderr.write(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = {
+    games: 500,
+    level: 'normal',
+    reactionTime: DEFAULT_REACTION_TIME,
+    errorRate: DEFAULT_ERROR_RATE,
+    maxMinutes: 10,
+    seed: 1,
+    json: false,
+    out: null,
+    baseline: null,
+    tolerance: 0.05,
+  };
+  const number = (flag, value, min, max) => {
+    const n = Number(value);
+    if (value === undefined || !Number.isFinite(n) || n < min || n > max) fail(`${flag} needs a number between ${min} and ${max}`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--games': opts.games = Math.round(number(arg, next(), 1, 1000000)); break;
+      case '--level': opts.level = next(); break;
+      case '--reaction': opts.reactionTime = number(arg, next(), 0, 5000); break;
+      case '--error': opts.errorRate = number(arg, next(), 0, 1); break;
+      case '--max-minutes': opts.maxMinutes = number(arg, next(), 0.1, 1440); break;
+      case '--seed': opts.seed = Math.round(number(arg, next(), 0, 4294967295)); break;
+      case '--json': opts.json = true; break;
+      case '--out': opts.out = next(); break;
+      case '--baseline': opts.baseline = next(); break;
+      case '--tolerance': opts.tolerance = number(arg, next(), 0, 10); break;
+      case '--help':
+      case '-h':
+        process.stdout.write(USAGE);
+        process.exit(0);
+        break;
+      default: fail(`Unknown option ${arg}`);
+    }
+  }
+  if (!opts.level) fail('--level needs a preset name or a file');
+  return opts;
+}
+
+function loadLevel(ref) {
+  const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'levels', 'schema.json'), 'utf8'));
+  const preset = PRESETS.find((p) => p.id === ref);
+  const file = preset ? path.join(ROOT, 'levels', `${preset.id}.json`) : path.resolve(ref);
+  if (!fs.existsSync(file)) fail(`No level preset or file named ${ref}`);
+  try {
+    const level = parseLevel(fs.readFileSync(file, 'utf8'), schema, path.relative(process.cwd(), file) || file);
+    return { level, config: levelToConfig(level) };
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+    return null;
+  }
+}
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+function percentile(sorted, p) {
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[index];
+}
+
+function histogram(sorted) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = Math.max(1, Math.ceil((max - min + 1) / HISTOGRAM_BUCKETS));
+  const buckets = Array.from({ length: HISTOGRAM_BUCKETS }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width - 1, games: 0 }));
+  sorted.forEach((value) => {
+    buckets[Math.min(HISTOGRAM_BUCKETS - 1, Math.floor((value - min) / width))].games += 1;
+  });
+  return buckets.filter((b) => b.from <= max);
+}
+
+function run(opts) {
+  const { level, config } = loadLevel(opts.level);
+  const results = [];
+  for (let i = 0; i < opts.games; i += 1) {
+    results.push(playGame({
+      config,
+      seed: (opts.seed + i) >>> 0,
+      reactionTime: opts.reactionTime,
+      errorRate: opts.errorRate,
+      maxTime: opts.maxMinutes * 60 * 1000,
+    }));
+    if ((i + 1) % 100 === 0 && process.stderr.isTTY) process.stderr.write(`\r${i + 1}/${opts.games} games`);
+  }
+  if (process.stderr.isTTY) process.stderr.write('\r\x1b[K');
+
+  const scores = results.map((r) => r.score).sort((a, b) => a - b);
+  const durations = results.map((r) => r.duration / 1000).sort((a, b) => a - b);
+  const count = (fn) => results.filter(fn).length;
+  const catches = results.reduce((sum, r) => sum + r.catches, 0);
+  const drops = results.reduce((sum, r) => sum + r.misses, 0);
+  const extended = results.filter((r) => r.magicExtension > 0);
+
+  return {
+    settings: {
+      level: level.name,
+      games: opts.games,
+      reactionTime: opts.reactionTime,
+      errorRate: opts.errorRate,
+      maxMinutes: opts.maxMinutes,
+      seed: opts.seed,
+    },
+    meanScore: round(mean(scores)),
+    medianScore: percentile(scores, 50),
+    scorePercentiles: { min: scores[0], p10: percentile(scores, 10), p25: percentile(scores, 25), p50: percentile(scores, 50), p75: percentile(scores, 75), p90: percentile(scores, 90), max: scores[scores.length - 1] },
+    scoreHistogram: histogram(scores),
+    meanDurationSeconds: round(mean(durations)),
+    medianDurationSeconds: round(percentile(durations, 50)),
+    catchRate: round(catches / Math.max(1, catches + drops), 4),
+    geometryMissesPerGame: round(mean(results.map((r) => r.geometryMisses)), 3),
+    fishHitsPerGame: round(mean(results.map((r) => r.fishHits)), 3),
+    magicPerGame: round(mean(results.map((r) => r.magicCollected)), 3),
+    endedBy: {
+      misses: count((r) => r.endedBy === 'misses'),
+      fish: count((r) => r.endedBy === 'fish'),
+      bomb: count((r) => r.endedBy === 'bomb'),
+      timeout: count((r) => r.endedBy === 'timeout'),
+    },
+    fishDecidedShare: round(count((r) => r.endedBy === 'fish') / results.length, 4),
+    magicExtendedShare: round(extended.length / results.length, 4),
+    meanMagicExtensionSeconds: extended.length ? round(mean(extended.map((r) => r.magicExtension / 1000))) : 0,
+    bestIntervalReached: round(Math.min(...results.map((r) => r.bestInterval))),
+  };
+}
+
+function compare(report, baseline, tolerance) {
+  const problems = [];
+  const differing = ['level', 'games', 'reactionTime', 'errorRate', 'maxMinutes', 'seed'].filter((key) => baseline.settings[key] !== report.settings[key]);
+  if (differing.length) problems.push(`settings differ from the baseline (${differing.join(', ')}); numbers are not comparable`);
+  CHECKED.forEach((key) => {
+    const before = baseline[key];
+    const after = report[key];
+    if (typeof before !== 'number') return;
+    const change = before === 0 ? Math.abs(after) : Math.abs(after - before) / Math.abs(before);
+    if (change > tolerance) problems.push(`${key}: ${before} -> ${after} (${(change * 100).toFixed(1)}% change)`);
+  });
+  return problems;
+}
+
+function format(report) {
+  const p = report.scorePercentiles;
+  const total = report.settings.games;
+  const share = (n) => `${n} (${((n / total) * 100).toFixed(1)}%)`;
+  const widest = Math.max(...report.scoreHistogram.map((b) => b.games));
+  const bars = report.scoreHistogram.map((b) => `  ${String(b.from).padStart(6)}-${String(b.to).padEnd(6)} ${'#'.repeat(Math.round((b.games / widest) * 40))} ${b.games}`);
+  return [
+    `${report.settings.level}: ${total} games, reaction ${report.settings.reactionTime} ms, error rate ${report.settings.errorRate}`,
+    '',
+    `Score        mean ${report.meanScore}, median ${report.medianScore}`,
+    `             min ${p.min} / p10 ${p.p10} / p25 ${p.p25} / p75 ${p.p75} / p90 ${p.p90} / max ${p.max}`,
+    ...bars,
+    `Run length   mean ${report.meanDurationSeconds}s, median ${report.medianDurationSeconds}s`,
+    `Catch rate   ${(report.catchRate * 100).toFixed(2)}%, ${report.geometryMissesPerGame} uncatchable screws per game`,
+    `Ended by     misses ${share(report.endedBy.misses)}, fish ${share(report.endedBy.fish)}, bombs ${share(report.endedBy.bomb)}, time limit ${share(report.endedBy.timeout)}`,
+    `Fish hits    ${report.fishHitsPerGame} per game`,
+    `Magic        ${report.magicPerGame} per game; kept ${(report.magicExtendedShare * 100).toFixed(1)}% of runs alive, ${report.meanMagicExtensionSeconds}s longer on average`,
+    `Best spawn interval reached: ${report.bestIntervalReached} ms`,
+    '',
+  ].join('\n');
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const report = run(opts);
+  const text = opts.json ? `${JSON.stringify(report, null, 2)}\n` : format(report);
+  if (opts.out) {
+    fs.writeFileSync(opts.out, text);
+  } else {
+    process.stdout.write(text);
+  }
+  if (opts.baseline) {
+    const baseline = JSON.parse(fs.readFileSync(opts.baseline, 'utf8'));
+    const problems = compare(report, baseline, opts.tolerance);
+    if (problems.length) {
+      process.stderr.write(`Regressions against ${opts.baseline}:\n- ${problems.join('\n- ')}\n`);
+      process.exit(1);
+    }
+    process.stderr.write(`Matches ${opts.baseline} within ${opts.tolerance * 100}%\n`);
+  }
+}
+
+main();
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Regenerates the precache list and cache version in sw.js. Run it after
+// changing any file the game ships; the version is a hash of every listed
+// file, so players get the "update available" prompt exactly when something
+// they have cached changed.
+//
+//   node tools/build-sw.js          rewrite sw.js
+//   node tools/build-sw.js --check  exit 1 if sw.js is out of date
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SW_FILE = path.join(ROOT, 'sw.js');
+const START = '/* BEGIN GENERATED */';
+const END = '/* END GENERATED */';
+
+// Top-level files plus whole directories the page loads at runtime.
+const FILES = [
+  'index.html',
+  'manifest.webmanifest',
+  'Logo.png',
+  'Robot Support.png',
+];
+const SCRIPT_PATTERN = /^game(\.[a-z0-9]+)*\.js$/;
+const DIRECTORIES = ['assets', 'fonts', 'icons', 'levels', 'locales', 'vendor'];
+const SKIPPED = /(\.LICENSE|\.map|OFL\.txt|^game\.bot\.js)$/; // bot is for Node soak tests only
+
+function walk(dir) {
+  return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true })
+    .flatMap((entry) => {
+      const rel = `${dir}/${entry.name}`;
+      return entry.isDirectory() ? walk(rel) : [rel];
+    });
+}
+
+function precacheList() {
+  const scripts = fs.readdirSync(ROOT).filter((name) => SCRIPT_PATTERN.test(name));
+  const files = [...FILES, ...scripts, ...DIRECTORIES.flatMap(walk)]
+    .filter((file) => !SKIPPED.test(file))
+    .sort();
+  files.forEach((file) => {
+    if (!fs.existsSync(path.join(ROOT, file))) throw new Error(`Missing precached file ${file}`);
+  });
+  return files;
+}
+
+function version(files) {
+  const hash = crypto.createHash('sha256');
+  files.forEach((file) => {
+    hash.update(file);
+    hash.update(fs.readFileSync(path.join(ROOT, file)));
+  });
+  return hash.digest('hex').slice(0, 12);
+}
+
+function render(files) {
+  const list = files.map((file) => `  ${JSON.stringify(encodeURI(file))},`).join('\n');
+  return `${START}\nconst CACHE_VERSION = '${version(files)}';\nconst PRECACHE = [\n${list}\n];\n${END}`;
+}
+
+function main() {
+  const source = fs.readFileSync(SW_FILE, 'utf8');
+  const start = source.indexOf(START);
+  const end = source.indexOf(END);
+  if (start < 0 || end < start) throw new Error(`sw.js is missing the ${START} / ${END} markers`);
+  const files = precacheList();
+  const next = `${source.slice(0, start)}${render(files)}${source.slice(end + END.length)}`;
+  if (process.argv.includes('--check')) {
+    if (next !== source) {
+      process.stderr.write('sw.js is out of date; run node tools/build-sw.js\n');
+      process.exit(1);
+    }
+    process.stdout.write('sw.js is up to date\n');
+    return;
+  }
+  fs.writeFileSync(SW_FILE, next);
+  process.stdout.write(`sw.js: ${files.length} files, version ${version(files)}\n`);
+}
+
+main();
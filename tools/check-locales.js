@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// Checks the locale files in locales/ against en.json, the complete one.
+// Reports keys a locale is missing (and plural categories its language
+// needs, as key#few), keys only a locale has, and keys the page or the game
+// scripts ask for that en.json does not define. Only literal keys are seen:
+// data-i18n / data-i18n-attr in index.html and t('...') in game*.js. It also
+// flags English left in game*.js where text reaches the player: a phrase or
+// capitalised word assigned to textContent, .text, setText(), aria-label,
+// label:, title:, description: or name:, pushed onto a queue, or thrown as
+// an Error. Language names in LANGUAGES are each language's own name and stay
+// as they are.
+//
+//   node tools/check-locales.js    exit 1 if anything is missing
+
+const fs = require('fs');
+const path = require('path');
+const { flatten, missingKeys, DEFAULT_LOCALE, LANGUAGES } = require('../game.i18n.js');
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+const SCRIPT_PATTERN = /^game(\.[a-z0-9]+)*\.js$/;
+const SCRIPT_KEY = /\bt\(\s*'([\w.]+)'/g;
+const TEXT_KEY = /data-i18n="([\w.]+)"/g;
+const ATTR_KEYS = /data-i18n-attr="([^"]+)"/g;
+const TEXT_SINK = /textContent\s*=|innerText\s*=|\.text\s*=|setText\(|new Error\(|setAttribute\('(?:aria-label|title|placeholder)'|\b(?:label|title|description|name):|\.push\(/;
+const PHRASE = /[A-Za-z]{2,}[):,!?]?\s|\s\(?[A-Za-z]{2,}/;
+const ENDONYMS = new Set(LANGUAGES.map(({ name }) => name));
+const STATEMENT_END = /[;,{(]\s*$/;
+const STRING = /'((?:[^'\\]|\\.)*)'|`((?:[^`\\]|\\.)*)`/g;
+
+function readLocale(id) {
+  return JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${id}.json`), 'utf8'));
+}
+
+function usedKeys() {
+  const keys = new Set();
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  for (const [, key] of html.matchAll(TEXT_KEY)) keys.add(key);
+  for (const [, pairs] of html.matchAll(ATTR_KEYS)) {
+    pairs.split(';').forEach((pair) => keys.add(pair.split(':')[1].trim()));
+  }
+  fs.readdirSync(ROOT).filter((name) => SCRIPT_PATTERN.test(name)).forEach((name) => {
+    const source = fs.readFileSync(path.join(ROOT, name), 'utf8');
+    for (const [, key] of source.matchAll(SCRIPT_KEY)) keys.add(key);
+  });
+  return [...keys];
+}
+
+// Player-facing literals in game*.js, as `file:line: text`.
+function untranslatedText() {
+  const found = [];
+  fs.readdirSync(ROOT).filter((name) => SCRIPT_PATTERN.test(name)).forEach((name) => {
+    const lines = fs.readFileSync(path.join(ROOT, name), 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      const sink = line.match(TEXT_SINK);
+      if (!sink) return;
+      // an assignment can carry on over the next lines
+      let statement = line.slice(sink.index);
+      for (let j = i + 1; j < lines.length && j <= i + 3 && !STATEMENT_END.test(statement); j += 1) statement += ` ${lines[j].trim()}`;
+      const rest = statement.replace(/\bt\(\s*(['`])[^'`]*\1/g, 't(');
+      for (const [, quoted, template] of rest.matchAll(STRING)) {
+        // a word next to a placeholder is a phrase too: `${name} (locked)`
+        const text = (quoted === undefined ? template : quoted).replace(/\$\{[^}]*\}/g, ' … ').replace(/\s+/g, ' ').trim();
+        if (ENDONYMS.has(text)) continue;
+        if (PHRASE.test(text) || /^[A-Z][A-Za-z]/.test(text)) found.push(`${name}:${i + 1}: ${text}`);
+      }
+    });
+  });
+  return found;
+}
+
+function main() {
+  const base = readLocale(DEFAULT_LOCALE);
+  const baseKeys = flatten(base);
+  const problems = [];
+
+  usedKeys().filter((key) => !(key in baseKeys)).forEach((key) => {
+    problems.push(`${DEFAULT_LOCALE}: used but not defined: ${key}`);
+  });
+
+  const locales = fs.readdirSync(LOCALES_DIR)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => name.slice(0, -5))
+    .filter((id) => id !== DEFAULT_LOCALE)
+    .sort();
+  untranslatedText().forEach((where) => problems.push(`not translated: ${where}`));
+
+  locales.forEach((id) => {
+    const messages = readLocale(id);
+    missingKeys(base, messages, id).forEach((key) => problems.push(`${id}: missing ${key}`));
+    Object.keys(flatten(messages)).filter((key) => !(key in baseKeys)).forEach((key) => {
+      problems.push(`${id}: not in ${DEFAULT_LOCALE}.json: ${key}`);
+    });
+  });
+
+  if (problems.length) {
+    process.stderr.write(`${problems.join('\n')}\n`);
+    process.exit(1);
+  }
+  process.stdout.write(`${locales.length + 1} locales, ${Object.keys(baseKeys).length} keys, nothing missing\n`);
+}
+
+main();
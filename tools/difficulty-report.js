@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+// Difficulty curve analyzer for the SpawnScrewIntellect controller in
+// game.sim.js. Plays many headless games per level through the real sim with
+// the scripted bot from game.bot.js and reports the spawn interval against
+// time and score, relaxation events, the best interval reached and
+// time-to-floor as CSV/JSON plus an SVG chart.
+//
+//   node tools/difficulty-report.js --level normal --level hard --endless --svg curve.svg
+//   node tools/difficulty-report.js --level my-level.json --games 200 --format json --out report.json
+
+const fs = require('fs');
+const path = require('path');
+const { createSim } = require('../game.sim.js');
+const { createBot, DEFAULT_REACTION_TIME, DEFAULT_ERROR_RATE } = require('../game.bot.js');
+const { parseLevel, levelToConfig, PRESETS } = require('../game.config.js');
+
+const ROOT = path.join(__dirname, '..');
+const TIME_BUCKET = 10; // seconds per point on the time curve
+const SCORE_BUCKET = 50; // points per step on the score curve
+const COLORS = ['#2E9E4A', '#D9772B', '#3C7DD9', '#B04AC9'];
+
+const USAGE = `Usage: node tools/difficulty-report.js [options]
+
+  --level <preset|file>   easy, normal, hard or a level JSON path (repeat to compare, default normal)
+  --games <n>             games per level (default 50)
+  --duration <seconds>    longest game to simulate (default 1800)
+  --reaction <ms>         bot reaction time (default ${DEFAULT_REACTION_TIME})
+  --error <0..1>          chance the bot misjudges a screw or fish (default ${DEFAULT_ERROR_RATE})
+  --endless               ignore maxMisses so the whole ramp is visible
+  --seed <n>              first game seed (default 1)
+  --format <csv|json>     report format on stdout / --out (default csv)
+  --samples               CSV: one row per spawn instead of the averaged curve
+  --out <file>            write the report to a file instead of stdout
+  --svg <file>            also draw the interval-over-time chart
+`;
+
+function fail(message) {
+  process.stderr.write(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = {
+    levels: [],
+    games: 50,
+    duration: 1800,
+    reactionTime: DEFAULT_REACTION_TIME,
+    errorRate: DEFAULT_ERROR_RATE,
+    endless: false,
+    seed: 1,
+    format: 'csv',
+    samples: false,
+    out: null,
+    svg: null,
+  };
+  const number = (flag, value, min, max) => {
+    const n = Number(value);
+    if (value === undefined || !Number.isFinite(n) || n < min || n > max) fail(`${flag} needs a number between ${min} and ${max}`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--level': opts.levels.push(next()); break;
+      case '--games': opts.games = Math.round(number(arg, next(), 1, 100000)); break;
+      case '--duration': opts.duration = number(arg, next(), 1, 86400); break;
+      case '--reaction': opts.reactionTime = number(arg, next(), 0, 5000); break;
+      case '--error': opts.errorRate = number(arg, next(), 0, 1); break;
+      case '--endless': opts.endless = true; break;
+      case '--seed': opts.seed = Math.round(number(arg, next(), 0, 4294967295)); break;
+      case '--format': opts.format = next(); break;
+      case '--samples': opts.samples = true; break;
+      case '--out': opts.out = next(); break;
+      case '--svg': opts.svg = next(); break;
+      case '--help':
+      case '-h':
+        process.stdout.write(USAGE);
+        process.exit(0);
+        break;
+      default: fail(`Unknown option ${arg}`);
+    }
+  }
+  if (!opts.levels.length) opts.levels.push('normal');
+  if (!['csv', 'json'].includes(opts.format)) fail('--format must be csv or json');
+  return opts;
+}
+
+function loadLevel(ref) {
+  const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'levels', 'schema.json'), 'utf8'));
+  const preset = PRESETS.find((p) => p.id === ref);
+  const file = preset ? path.join(ROOT, 'levels', `${preset.id}.json`) : path.resolve(ref);
+  if (!fs.existsSync(file)) fail(`No level preset or file named ${ref}`);
+  try {
+    const level = parseLevel(fs.readFileSync(file, 'utf8'), schema, path.relative(process.cwd(), file) || file);
+    return { level, config: levelToConfig(level) };
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+    return null;
+  }
+}
+
+// One headless game: the bot plays the real sim, and every spawn records
+// the interval the intellect moved to. A wave relaxation shows up as a new
+// pending relaxation; a fish hit eases the interval before it is emitted.
+function playGame(config, opts, seed) {
+  const sim = createSim({ seed, config: opts.endless ? { ...config, mode: { ...config.mode, missesEnd: false } } : config });
+  const bot = createBot(sim, { reactionTime: opts.reactionTime, errorRate: opts.errorRate, seed: sim.seed ^ 0x9e3779b9 });
+  const { state, intellect } = sim;
+  const maxTime = opts.duration * 1000;
+  let timeToFloor = null;
+  let before = state.spawnInterval;
+  let spawned = false;
+  const samples = [];
+  const events = [];
+
+  sim.on('spawn', () => {
+    spawned = true;
+  });
+  sim.on('floorReached', () => {
+    timeToFloor = state.time;
+  });
+  sim.on('fishHit', () => {
+    events.push({ time: state.time, score: state.score, type: 'fish', from: before, to: state.spawnInterval });
+  });
+
+  while (state.playing && state.time < maxTime) {
+    const pending = intellect.pendingRelaxations;
+    before = state.spawnInterval;
+    spawned = false;
+    bot.update();
+    sim.step();
+    if (!spawned) continue;
+    const relaxed = intellect.pendingRelaxations > pending;
+    if (relaxed) events.push({ time: state.time, score: state.score, type: 'wave', from: before, to: state.spawnInterval });
+    samples.push({ time: state.time, score: state.score, spawnInterval: state.spawnInterval, misses: state.misses, event: relaxed ? 'wave' : '' });
+  }
+  bot.destroy();
+
+  return {
+    score: state.score,
+    duration: state.time,
+    bestInterval: intellect.bestDifficultyInterval,
+    finalInterval: state.spawnInterval,
+    timeToFloor,
+    relaxations: events.filter((e) => e.type === 'wave').length,
+    fishRelaxations: events.filter((e) => e.type === 'fish' && e.to > e.from).length,
+    samples,
+    events,
+  };
+}
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+const round = (value, digits = 1) => (value === null ? null : Number(value.toFixed(digits)));
+
+// Averages the last known interval of every game still running in each bucket.
+function curve(games, key, bucket) {
+  const end = Math.max(...games.map((g) => (g.samples.length ? g.samples[g.samples.length - 1][key] : 0)));
+  const points = [];
+  for (let at = 0; at <= end; at += bucket) {
+    const values = [];
+    games.forEach((g) => {
+      let last = null;
+      for (let i = 0; i < g.samples.length && g.samples[i][key] <= at; i += 1) last = g.samples[i];
+      if (last && g.samples[g.samples.length - 1][key] >= at) values.push(last.spawnInterval);
+    });
+    if (!values.length) continue;
+    points.push({ [key === 'time' ? 'time' : 'score']: key === 'time' ? at / 1000 : at, mean: round(mean(values)), min: round(Math.min(...values)), max: round(Math.max(...values)), games: values.length });
+  }
+  return points;
+}
+
+function analyze(ref, opts) {
+  const { level, config } = loadLevel(ref);
+  const games = Array.from({ length: opts.games }, (_, i) => playGame(config, opts, opts.seed + i));
+  const floors = games.map((g) => g.timeToFloor).filter((t) => t !== null);
+  return {
+    name: level.name,
+    source: ref,
+    minInterval: config.intellect.minInterval,
+    summary: {
+      games: games.length,
+      meanScore: round(mean(games.map((g) => g.score))),
+      medianScore: median(games.map((g) => g.score)),
+      meanDurationSeconds: round(mean(games.map((g) => g.duration)) / 1000),
+      bestInterval: round(Math.min(...games.map((g) => g.bestInterval))),
+      meanBestInterval: round(mean(games.map((g) => g.bestInterval))),
+      reachedFloor: floors.length,
+      medianTimeToFloorSeconds: floors.length ? round(median(floors) / 1000) : null,
+      meanWaveRelaxations: round(mean(games.map((g) => g.relaxations))),
+      meanFishRelaxations: round(mean(games.map((g) => g.fishRelaxations))),
+    },
+    timeCurve: curve(games, 'time', TIME_BUCKET * 1000),
+    scoreCurve: curve(games, 'score', SCORE_BUCKET),
+    sampleGame: { samples: games[0].samples, events: games[0].events },
+    games,
+  };
+}
+
+function toCsv(reports, opts) {
+  if (opts.samples) {
+    const rows = ['level,game,time_s,score,misses,spawn_interval_ms,event'];
+    reports.forEach((r) => r.games.forEach((g, i) => g.samples.forEach((s) => {
+      rows.push([r.name, i + 1, (s.time / 1000).toFixed(3), s.score, s.misses, s.spawnInterval.toFixed(2), s.event].join(','));
+    })));
+    return `${rows.join('\n')}\n`;
+  }
+  const rows = ['level,axis,at,mean_interval_ms,min_interval_ms,max_interval_ms,games'];
+  reports.forEach((r) => {
+    r.timeCurve.forEach((p) => rows.push([r.name, 'time_s', p.time, p.mean, p.min, p.max, p.games].join(',')));
+    r.scoreCurve.forEach((p) => rows.push([r.name, 'score', p.score, p.mean, p.min, p.max, p.games].join(',')));
+  });
+  return `${rows.join('\n')}\n`;
+}
+
+function toJson(reports, opts) {
+  const settings = { games: opts.games, duration: opts.duration, reactionTime: opts.reactionTime, errorRate: opts.errorRate, endless: opts.endless, seed: opts.seed };
+  const levels = reports.map(({ games, ...rest }) => rest);
+  return `${JSON.stringify({ settings, levels }, null, 2)}\n`;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+}
+
+function toSvg(reports) {
+  const width = 960;
+  const height = 540;
+  const pad = { left: 72, right: 24, top: 48, bottom: 56 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const maxTime = Math.max(1, ...reports.map((r) => (r.timeCurve.length ? r.timeCurve[r.timeCurve.length - 1].time : 0)));
+  const maxInterval = Math.max(...reports.map((r) => Math.max(...r.timeCurve.map((p) => p.max), 0))) * 1.05 || 1;
+  const x = (t) => pad.left + (t / maxTime) * plotW;
+  const y = (ms) => pad.top + plotH - (ms / maxInterval) * plotH;
+  const parts = [];
+
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Roboto, Arial, sans-serif" font-size="12">`);
+  parts.push(`<rect width="${width}" height="${height}" fill="#FFFFFF"/>`);
+  parts.push(`<text x="${width / 2}" y="26" text-anchor="middle" font-size="16" font-weight="700">Spawn interval over time</text>`);
+
+  for (let i = 0; i <= 5; i += 1) {
+    const ms = (maxInterval / 5) * i;
+    parts.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(ms).toFixed(1)}" y2="${y(ms).toFixed(1)}" stroke="#E4E4E4"/>`);
+    parts.push(`<text x="${pad.left - 8}" y="${(y(ms) + 4).toFixed(1)}" text-anchor="end">${Math.round(ms)}</text>`);
+    const t = (maxTime / 5) * i;
+    parts.push(`<text x="${x(t).toFixed(1)}" y="${height - pad.bottom + 18}" text-anchor="middle">${Math.round(t)}</text>`);
+  }
+  parts.push(`<text x="${pad.left + plotW / 2}" y="${height - 14}" text-anchor="middle">time (s)</text>`);
+  parts.push(`<text transform="translate(18 ${pad.top + plotH / 2}) rotate(-90)" text-anchor="middle">spawn interval (ms)</text>`);
+  parts.push(`<rect x="${pad.left}" y="${pad.top}" width="${plotW}" height="${plotH}" fill="none" stroke="#999999"/>`);
+
+  reports.forEach((r, i) => {
+    const color = COLORS[i % COLORS.length];
+    if (!r.timeCurve.length) return;
+    const upper = r.timeCurve.map((p) => `${x(p.time).toFixed(1)},${y(p.max).toFixed(1)}`);
+    const lower = r.timeCurve.slice().reverse().map((p) => `${x(p.time).toFixed(1)},${y(p.min).toFixed(1)}`);
+    parts.push(`<polygon points="${[...upper, ...lower].join(' ')}" fill="${color}" fill-opacity="0.12"/>`);
+    const line = r.timeCurve.map((p) => `${x(p.time).toFixed(1)},${y(p.mean).toFixed(1)}`).join(' ');
+    parts.push(`<polyline points="${line}" fill="none" stroke="${color}" stroke-width="2"/>`);
+    r.sampleGame.events.forEach((e) => {
+      if (e.time / 1000 > maxTime) return;
+      const shape = e.type === 'fish' ? 'rect' : 'circle';
+      const cx = x(e.time / 1000);
+      const cy = y(e.to);
+      parts.push(shape === 'rect'
+        ? `<rect x="${(cx - 3).toFixed(1)}" y="${(cy - 3).toFixed(1)}" width="6" height="6" fill="${color}"/>`
+        : `<circle cx="${cx.toFixed(1)}" cy="${cy.toFixed(1)}" r="2.5" fill="${color}"/>`);
+    });
+    const floorY = y(r.minInterval);
+    parts.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${floorY.toFixed(1)}" y2="${floorY.toFixed(1)}" stroke="${color}" stroke-dasharray="4 4"/>`);
+    const legendY = pad.top + 18 + i * 18;
+    parts.push(`<rect x="${width - pad.right - 220}" y="${legendY - 10}" width="12" height="12" fill="${color}"/>`);
+    parts.push(`<text x="${width - pad.right - 202}" y="${legendY}">${escapeXml(r.name)} (best ${r.summary.bestInterval} ms)</text>`);
+  });
+  parts.push(`<text x="${pad.left + 8}" y="${height - pad.bottom - 8}" fill="#666666">band: min–max across games · dots: wave relaxations · squares: fish relaxations (first game) · dashed: floor</text>`);
+  parts.push('</svg>');
+  return `${parts.join('\n')}\n`;
+}
+
+function printSummary(reports) {
+  const lines = reports.map((r) => {
+    const s = r.summary;
+    const floor = s.medianTimeToFloorSeconds === null ? 'never' : `${s.medianTimeToFloorSeconds}s median (${s.reachedFloor}/${s.games} games)`;
+    return [
+      `${r.name}:`,
+      `  score mean ${s.meanScore}, median ${s.medianScore}; run ${s.meanDurationSeconds}s on average`,
+      `  best interval ${s.bestInterval} ms (mean ${s.meanBestInterval} ms), floor ${r.minInterval} ms reached ${floor}`,
+      `  relaxations per game: ${s.meanWaveRelaxations} wave, ${s.meanFishRelaxations} fish`,
+    ].join('\n');
+  });
+  process.stderr.write(`${lines.join('\n')}\n`);
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const reports = opts.levels.map((ref) => analyze(ref, opts));
+  const report = opts.format === 'json' ? toJson(reports, opts) : toCsv(reports, opts);
+  if (opts.out) {
+    fs.writeFileSync(opts.out, report);
+  } else {
+    process.stdout.write(report);
+  }
+  if (opts.svg) fs.writeFileSync(opts.svg, toSvg(reports));
+  printSummary(reports);
+}
+
+main();